@@ -12,38 +12,35 @@ window.addEventListener('DOMContentLoaded', function() {
     const progressDiv = document.getElementById('progress');
     const doneDiv = document.getElementById('done');
 
+    // Elements shown in each state of the upload. The rest are hidden.
+    const visible = {
+      initiating: [cancel, pause],
+      uploading: [cancel, pause, progressDiv],
+      'waiting-for-network': [cancel, pause, progressDiv],
+      paused: [cancel, resume, progressDiv],
+      finalizing: [progressDiv],
+      done: [doneDiv]
+    };
+    const elements = [cancel, pause, resume, progressDiv, doneDiv];
+
     const file = files[0];
     const upload = gcsUploader.run(file);
+    upload.onstatechange = function(change) {
+      console.log('State', change.previous, '->', change.next);
+      const shown = visible[change.next] || [];
+      elements.forEach(function(element) {
+        element.style.display = shown.indexOf(element) === -1 ? 'none' : '';
+      });
+    };
     upload.onprogress = function(progress) {
-      progressDiv.style.display = 'block';
-      cancel.style.display = 'inline';
-      pause.style.display = 'inline';
-      resume.style.display = 'none';
-      doneDiv.style.display = 'none';
       console.log('Progress ', progress);
-      sent.textContent = progress;
+      sent.textContent = progress.sent;
     };
     upload.onerror = function(error) {
       console.log('Error', error);
     };
-    upload.ondone = function() {
-      progressDiv.style.display = 'none';
-      cancel.style.display = 'none';
-      pause.style.display = 'none';
-      doneDiv.style.display = 'block';
-      console.log('Done');
-    };
-    upload.oncancel = function() {
-      progressDiv.style.display = 'none';
-      cancel.style.display = 'none';
-      pause.style.display = 'none';
-      resume.style.display = 'none';
-      doneDiv.style.display = 'none';
-      console.log('Cancel');
-    };
-    upload.onpause = function() {
-      pause.style.display = 'none';
-      resume.style.display = 'inline';
+    upload.ondone = function(info) {
+      console.log('Done', info);
     };
     const total = document.getElementById('total');
     total.textContent = upload.size;
@@ -61,7 +61,20 @@ function build() {
       //   jquery: true
       // }
       // would externalize the `jquery` module.
-      externals: {},
+      // `fs`, `zlib`, `crypto`, `http` and `https` are only used in
+      // Node.js, to read files from disk, to compress them, to hash
+      // encryption keys and to send requests without fetch.
+      externals: {
+        crypto: 'crypto',
+        fs: 'fs',
+        http: 'http',
+        https: 'https',
+        zlib: 'zlib'
+      },
+      // Buffer is only used in Node.js, where it is a global.
+      node: {
+        Buffer: false
+      },
       module: {
         loaders: [
           {test: /\.js$/, exclude: /node_modules/, loader: 'babel-loader'}
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * GCS requires every chunk but the last one to be a multiple of 256 KiB.
+ */
+const CHUNK_SIZE_MULTIPLE = 256 * 1024;
+
+/**
+ * Default adaptive chunk sizing options.
+ *
+ * - min: Minimum chunk size.
+ * - max: Maximum chunk size.
+ * - targetDuration: Milliseconds we want each chunk to take to upload.
+ *   Shorter chunks waste time in round trips, longer chunks lose more data
+ *   when they fail.
+ * - window: Number of recent chunks used to measure the failure rate.
+ * - maxFailureRate: Failure rate (0 to 1) above which chunks shrink.
+ */
+const DEFAULT_ADAPTIVE_OPTIONS = {
+  min: CHUNK_SIZE_MULTIPLE,
+  max: 128 * CHUNK_SIZE_MULTIPLE, // 32MiB
+  targetDuration: 5000,
+  window: 5,
+  maxFailureRate: 0.2
+};
+
+/**
+ * Throws if the chunk size is not a positive multiple of 256 KiB.
+ */
+const validateChunkSize = chunkSize => {
+  if (typeof chunkSize !== 'number' || chunkSize <= 0 ||
+      chunkSize % CHUNK_SIZE_MULTIPLE !== 0) {
+    throw new Error(
+      `Invalid chunk size ${chunkSize}, it must be a multiple of 256 KiB`);
+  }
+};
+
+const roundChunkSize = size => {
+  return Math.floor(size / CHUNK_SIZE_MULTIPLE) * CHUNK_SIZE_MULTIPLE;
+};
+
+/**
+ * Adapts the chunk size to the measured throughput and failure rate of the
+ * most recent chunks. Chunks grow, at most doubling every time, until they
+ * take `targetDuration` to upload, and shrink by half when a chunk fails
+ * or too many recent chunks failed.
+ */
+class ChunkSizer {
+  /**
+   * Create a ChunkSizer instance.
+   *
+   * @constructs ChunkSizer
+   *
+   * @param {number} chunkSize - Initial chunk size.
+   * @param {object} options - See DEFAULT_ADAPTIVE_OPTIONS.
+   */
+  constructor(chunkSize, options) {
+    Object.assign(this, DEFAULT_ADAPTIVE_OPTIONS, options);
+    validateChunkSize(this.min);
+    validateChunkSize(this.max);
+    if (this.min > this.max) {
+      throw new Error('The minimum chunk size is bigger than the maximum');
+    }
+
+    this.chunkSize = this.clamp(chunkSize);
+    this.results = [];
+  }
+
+  clamp(size) {
+    return Math.max(this.min, Math.min(this.max, roundChunkSize(size)));
+  }
+
+  get failureRate() {
+    if (!this.results.length) {
+      return 0;
+    }
+    const failures = this.results.filter(success => !success).length;
+    return failures / this.results.length;
+  }
+
+  addResult(success) {
+    this.results.push(success);
+    if (this.results.length > this.window) {
+      this.results.shift();
+    }
+  }
+
+  /**
+   * Records a successfully uploaded chunk.
+   *
+   * @param {number} bytes - Chunk size.
+   * @param {number} duration - Milliseconds it took to upload.
+   *
+   * @return Size of the next chunk.
+   */
+  recordSuccess(bytes, duration) {
+    this.addResult(true);
+
+    if (this.failureRate > this.maxFailureRate) {
+      return this.chunkSize;
+    }
+
+    const throughput = bytes / Math.max(duration, 1);
+    const ideal = throughput * this.targetDuration;
+    this.chunkSize = this.clamp(Math.min(ideal, this.chunkSize * 2));
+    return this.chunkSize;
+  }
+
+  /**
+   * Records a failed chunk.
+   *
+   * @return Size of the next chunk.
+   */
+  recordFailure() {
+    this.addResult(false);
+    this.chunkSize = this.clamp(this.chunkSize / 2);
+    return this.chunkSize;
+  }
+}
+
+module.exports = {
+  ChunkSizer,
+  validateChunkSize,
+  CHUNK_SIZE_MULTIPLE
+};
@@ -0,0 +1,308 @@
+'use strict';
+
+import { HttpError } from './errors.js';
+import { CHUNK_SIZE_MULTIPLE } from './chunk-sizer.js';
+import {
+  INITIATING,
+  UPLOADING,
+  FINALIZING,
+  isFinished
+} from './states.js';
+import { objectBody, OBJECT_OPTIONS } from './object.js';
+import { getTransport } from './transports/index.js';
+
+/**
+ * GCS composes at most 32 objects in a single request.
+ */
+const MAX_PARTS = 32;
+
+/**
+ * Ask the session server to compose the uploaded parts into the final
+ * object. The server is expected to delete the temporary parts afterwards.
+ *
+ * @param {object} file - Data being uploaded.
+ * @param {Array} parts - Uploaded parts, as `{ name, metadata }` objects.
+ * @param {object} options - Composite upload options.
+ * @param {object} object - Description of the object to create.
+ *
+ * @return Promise that resolves with the metadata of the composed object.
+ */
+const requestCompose = (file, parts, options, object) => {
+  const { endpoint, headers, buildBody, parseResponse, transport } = options;
+
+  return Promise.resolve(buildBody(file, parts, object)).then(body => {
+    return transport.request({
+      type: 'compose',
+      method: 'post',
+      url: endpoint,
+      headers: Object.assign({
+        'Content-Type': 'application/json'
+      }, object && object.headers, headers),
+      body: JSON.stringify(body)
+    });
+  }).then(response => {
+    if (response.status !== 201 && response.status !== 200) {
+      throw new HttpError('Could not compose the uploaded parts', {
+        status: response.status
+      });
+    }
+    return response.json();
+  }).then(parseResponse);
+};
+
+/**
+ * Ask the session server to delete the temporary parts of an upload that
+ * failed or was cancelled before they were composed.
+ *
+ * @param {object} file - Data being uploaded.
+ * @param {Array} parts - Uploaded parts, as `{ name, metadata }` objects.
+ * @param {object} options - Composite upload options.
+ * @param {object} object - Description of the object to create, if known.
+ *
+ * @return Promise that resolves once the parts are deleted.
+ */
+const requestCleanup = (file, parts, options, object) => {
+  const { cleanupEndpoint, headers, transport } = options;
+
+  return transport.request({
+    type: 'cleanup',
+    method: 'post',
+    url: cleanupEndpoint,
+    headers: Object.assign({
+      'Content-Type': 'application/json'
+    }, object && object.headers, headers),
+    body: JSON.stringify({ parts: parts.map(part => part.name) })
+  }).then(response => {
+    if (response.status < 200 || response.status > 299) {
+      throw new HttpError('Could not delete the uploaded parts', {
+        status: response.status
+      });
+    }
+  });
+};
+
+/**
+ * Default parallel composite upload options.
+ *
+ * - parts: Number of parts uploaded in parallel, at most 32.
+ * - minPartSize: Minimum size of each part. Smaller uploads are split in
+ *   fewer parts.
+ * - compose: Function receiving the data being uploaded, the uploaded parts
+ *   (`{ name, metadata }` objects), these options and the description of
+ *   the object to create (see object.js), and returning a Promise that
+ *   resolves with the metadata of the composed object.
+ * - endpoint: URL of the compose request of the default `compose`.
+ *   Defaults to the session endpoint followed by `/compose`.
+ * - headers: Extra headers of the compose request. Defaults to the session
+ *   request headers.
+ * - buildBody: Function receiving the data being uploaded, the uploaded
+ *   parts and the object description, and returning the JSON body of the
+ *   compose request.
+ * - parseResponse: Function receiving the parsed JSON response of the
+ *   compose request and returning the object metadata.
+ * - cleanup: Function receiving the same arguments as `compose`, with the
+ *   parts uploaded before the upload failed or was cancelled, and
+ *   returning a Promise that resolves once they are deleted.
+ * - cleanupEndpoint: URL of the request of the default `cleanup`, with a
+ *   `{ parts }` JSON body listing the part names. Defaults to the session
+ *   endpoint followed by `/cleanup`.
+ * - transport: Transport sending the compose and cleanup requests.
+ *   Defaults to the one of the upload, with its interceptors.
+ */
+const DEFAULT_COMPOSITE_OPTIONS = {
+  parts: 4,
+  minPartSize: 128 * CHUNK_SIZE_MULTIPLE, // 32MiB
+  compose: requestCompose,
+  buildBody: (file, parts, object) => Object.assign(objectBody(object), {
+    parts: parts.map(part => part.name)
+  }),
+  parseResponse: ({ data }) => data,
+  cleanup: requestCleanup
+};
+
+/**
+ * Split the data in parts of similar size, multiple of 256 KiB.
+ *
+ * @return Array of `{ start, end }` byte ranges.
+ */
+const splitParts = (size, options) => {
+  const { parts, minPartSize } = options;
+  const count = Math.max(1, Math.min(parts, Math.floor(size / minPartSize)));
+  const partSize = Math.max(CHUNK_SIZE_MULTIPLE,
+    Math.ceil(size / count / CHUNK_SIZE_MULTIPLE) * CHUNK_SIZE_MULTIPLE);
+
+  const ranges = [];
+  for (let start = 0; start < size; start += partSize) {
+    ranges.push({ start, end: Math.min(size, start + partSize) });
+  }
+  return ranges.length ? ranges : [{ start: 0, end: 0 }];
+};
+
+const getCompositeOptions = (options, session) => {
+  const compositeOptions = Object.assign({}, DEFAULT_COMPOSITE_OPTIONS, {
+    endpoint: `${session.endpoint}/compose`,
+    cleanupEndpoint: `${session.endpoint}/cleanup`,
+    headers: session.headers,
+    transport: getTransport(options)
+  }, options.composite === true ? {} : options.composite);
+
+  const { parts } = compositeOptions;
+  if (parts !== Math.floor(parts) || parts < 1 || parts > MAX_PARTS) {
+    throw new Error(`Invalid number of parts ${parts}, it must be 1 to 32`);
+  }
+  return compositeOptions;
+};
+
+/**
+ * Whether an upload, the composite one or a part, is neither finished nor
+ * cancelled. The composite upload can be paused while the parts are being
+ * composed.
+ */
+const isActive = upload => !isFinished(upload.currentState);
+
+/**
+ * Name of the temporary object of a part. It includes a random id, so
+ * concurrent uploads of the same file don't overwrite each other's parts.
+ */
+const partName = (name, id, index) => `${name}.${id}.part${index}`;
+
+/**
+ * Start a parallel composite upload: the data is split in parts, each one
+ * uploaded as a temporary object through its own session, in parallel, and
+ * the parts are composed into the final object once they are all done.
+ *
+ * The parts are regular uploads, driven by the composite one: progress is
+ * the sum of the progress of the parts, pausing, resuming or cancelling it
+ * does the same with every part, and it fails if any part fails.
+ *
+ * @param {Upload} upload - Composite upload.
+ * @param {object} source - Source of the data (see sources/index.js). It
+ * must have a known size and support `slice`.
+ * @param {object} options - Upload options.
+ * @param {function} runPart - Function starting the upload of a part,
+ * receiving the same arguments as `run`.
+ * @param {object} session - Session request options, whose endpoint and
+ * headers are the defaults of the compose request.
+ * @param {Promise} object - Promise that resolves with the description of
+ * the object to create.
+ */
+const startComposite = (upload, source, options, runPart, session, object) => {
+  if (source.size === null || !source.slice) {
+    throw new Error('Composite uploads need data of known size');
+  }
+
+  const compositeOptions = getCompositeOptions(options, session);
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  const names = [];
+  // Parts uploaded so far, by index, and the object description.
+  const uploaded = [];
+  let description;
+
+  // Parts are only deleted by the session server once composed, so the
+  // ones uploaded are deleted if the upload fails or is cancelled before.
+  const cleanup = () => {
+    const parts = uploaded.filter(part => part);
+    if (!parts.length) {
+      return;
+    }
+    Promise.resolve().then(() => {
+      return compositeOptions.cleanup(upload.file, parts, compositeOptions,
+                                      description);
+    }).catch(() => {});
+  };
+
+  // The composite upload is initiating until the data is validated, when
+  // the parts can request their sessions.
+  object.then(result => {
+    description = result;
+    if (upload.currentState === INITIATING) {
+      upload.state.current = UPLOADING;
+    }
+  }, () => {});
+
+  // Parts are temporary objects, named after the file, without the options
+  // of the final object. They share the bandwidth limits of the composite
+  // upload instead of having their own.
+  const partOptions = Object.assign({}, options, {
+    composite: null,
+    store: null,
+    destination: null,
+    maxBytesPerSecond: undefined,
+    throttle: null
+  });
+  OBJECT_OPTIONS.forEach(option => {
+    if (option !== 'contentType') {
+      delete partOptions[option];
+    }
+  });
+
+  const updateProgress = () => {
+    upload.progress = upload.parts.reduce((sent, part) => {
+      return sent + part.tracker.sent;
+    }, 0);
+  };
+
+  upload.parts = splitParts(source.size, compositeOptions).map((range, i) => {
+    const name = partName(upload.file.name, id, i);
+    names.push(name);
+
+    const part = runPart(source.slice(range.start, range.end, {
+      name,
+      type: source.type
+    }), Object.assign({}, partOptions, { name }));
+    part.throttles.push.apply(part.throttles, upload.throttles);
+
+    part.promise.then(metadata => {
+      uploaded[i] = { name, metadata };
+    }, () => {});
+    part.addEventListener('progress', () => {
+      if (upload.currentState === UPLOADING) {
+        updateProgress();
+      }
+    });
+    part.addEventListener('waitingfornetwork', status => {
+      if (upload.currentState === UPLOADING) {
+        upload.dispatch('waitingfornetwork', status);
+      }
+    });
+    ['retry', 'sessionrestart'].forEach(event => {
+      part.addEventListener(event, detail => {
+        if (upload.currentState === UPLOADING) {
+          upload.dispatch(event, detail);
+        }
+      });
+    });
+    return part;
+  });
+
+  Promise.all([
+    Promise.all(upload.parts.map(part => part.promise)),
+    object
+  ]).then(([results, description]) => {
+    if (isActive(upload)) {
+      upload.state.current = FINALIZING;
+    }
+    const parts = results.map((metadata, i) => ({ name: names[i], metadata }));
+    return compositeOptions.compose(upload.file, parts, compositeOptions,
+                                    description);
+  }).then(metadata => {
+    if (isActive(upload)) {
+      upload.done(metadata);
+    }
+  }).catch(error => {
+    if (!isActive(upload)) {
+      // i.e. the parts were cancelled with the composite upload.
+      return cleanup();
+    }
+    // The rest of the parts are useless without this one.
+    upload.parts.filter(isActive).forEach(part => part.cancel());
+    upload.fail(error);
+    cleanup();
+  });
+};
+
+module.exports = {
+  startComposite,
+  splitParts,
+  DEFAULT_COMPOSITE_OPTIONS
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Number of bytes at the beginning of the data used to sniff its type.
+ */
+const SNIFF_LENGTH = 16;
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+/**
+ * Content types of common file extensions.
+ */
+const EXTENSIONS = {
+  avi: 'video/x-msvideo',
+  bmp: 'image/bmp',
+  css: 'text/css',
+  csv: 'text/csv',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument' +
+    '.wordprocessingml.document',
+  gif: 'image/gif',
+  gz: 'application/gzip',
+  htm: 'text/html',
+  html: 'text/html',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  js: 'application/javascript',
+  json: 'application/json',
+  m4a: 'audio/mp4',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+  ogg: 'audio/ogg',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  tar: 'application/x-tar',
+  txt: 'text/plain',
+  wav: 'audio/wav',
+  webm: 'video/webm',
+  webp: 'image/webp',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xml: 'application/xml',
+  zip: 'application/zip'
+};
+
+/**
+ * Signatures of common file formats. `bytes` are found at `offset`, and
+ * null bytes match anything.
+ */
+const MAGIC_NUMBERS = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A] },
+  { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  {
+    type: 'image/webp',
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null,
+            0x57, 0x45, 0x42, 0x50]
+  },
+  {
+    type: 'audio/wav',
+    bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null,
+            0x57, 0x41, 0x56, 0x45]
+  },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+  { type: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1F, 0x8B] },
+  { type: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+  { type: 'video/mp4', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'audio/ogg', bytes: [0x4F, 0x67, 0x67, 0x53] }
+];
+
+/**
+ * Get the content type of a file name from its extension.
+ *
+ * @return Content type, or undefined if the extension is unknown.
+ */
+const typeFromExtension = name => {
+  const match = /\.([^./\\]+)$/.exec(name || '');
+  return match ? EXTENSIONS[match[1].toLowerCase()] : undefined;
+};
+
+/**
+ * Get the content type of some data from its first bytes.
+ *
+ * @return Content type, or undefined if the format is unknown.
+ */
+const typeFromMagicNumber = data => {
+  const bytes = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  const signature = MAGIC_NUMBERS.find(({ offset = 0, bytes: magic }) => {
+    return bytes.length >= offset + magic.length && magic.every((byte, i) => {
+      return byte === null || bytes[offset + i] === byte;
+    });
+  });
+  return signature && signature.type;
+};
+
+/**
+ * Guess the content type of data without one, using its file extension or,
+ * if unknown, the magic number at its beginning.
+ *
+ * @param {string} name - File name.
+ * @param {object} reader - Object with a `read(start, end)` method, like a
+ * source or a Steamer, to read the first bytes of the data.
+ *
+ * @return Promise that resolves with the content type, which defaults to
+ * `application/octet-stream`.
+ */
+const sniffContentType = (name, reader) => {
+  const type = typeFromExtension(name);
+  if (type) {
+    return Promise.resolve(type);
+  }
+
+  return reader.read(0, SNIFF_LENGTH).then(chunk => {
+    return typeFromMagicNumber(chunk.data) || DEFAULT_CONTENT_TYPE;
+  });
+};
+
+module.exports = {
+  sniffContentType,
+  typeFromExtension,
+  typeFromMagicNumber
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+import nodeCrypto from 'crypto';
+
+/**
+ * Algorithm of customer-supplied encryption keys, the only one GCS
+ * supports.
+ */
+const CSEK_ALGORITHM = 'AES256';
+
+/**
+ * Get the WebCrypto API of browsers, or of Node.js 15 and newer.
+ */
+const getSubtle = () => {
+  if (typeof crypto !== 'undefined' && crypto.subtle) {
+    return crypto.subtle;
+  }
+  if (nodeCrypto && nodeCrypto.webcrypto) {
+    return nodeCrypto.webcrypto.subtle;
+  }
+  return null;
+};
+
+/**
+ * Fill a typed array with cryptographically strong random values.
+ */
+const getRandomValues = array => {
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return crypto.getRandomValues(array);
+  }
+  return nodeCrypto.webcrypto.getRandomValues(array);
+};
+
+const toBase64 = buffer => {
+  const bytes = new Uint8Array(buffer);
+  if (typeof btoa === 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+  return btoa(String.fromCharCode.apply(null, bytes));
+};
+
+const fromBase64 = text => {
+  if (typeof atob === 'undefined') {
+    return new Uint8Array(Buffer.from(text, 'base64'));
+  }
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+};
+
+/**
+ * Compute the base64 encoded SHA-256 hash of a key.
+ */
+const keySha256 = key => {
+  const subtle = getSubtle();
+  if (subtle) {
+    return subtle.digest('SHA-256', key).then(toBase64);
+  }
+  return Promise.resolve(
+    nodeCrypto.createHash('sha256').update(Buffer.from(key)).digest('base64'));
+};
+
+/**
+ * Get the headers GCS requires on every request of an upload encrypted with
+ * a customer-supplied encryption key.
+ *
+ * @param {object} encryption - `key`, the base64 encoded AES-256 key, and
+ * optionally its base64 encoded SHA-256 hash, `keySha256`.
+ *
+ * @return Promise that resolves with the headers, which are empty if there
+ * is no key.
+ */
+const getEncryptionHeaders = encryption => {
+  if (!encryption || !encryption.key) {
+    return Promise.resolve({});
+  }
+
+  const key = fromBase64(encryption.key);
+  if (key.byteLength !== 32) {
+    return Promise.reject(
+      new Error('Encryption keys must be base64 encoded 256 bit keys'));
+  }
+
+  const hash = encryption.keySha256
+    ? Promise.resolve(encryption.keySha256)
+    : keySha256(key);
+
+  return hash.then(sha256 => ({
+    'x-goog-encryption-algorithm': CSEK_ALGORITHM,
+    'x-goog-encryption-key': encryption.key,
+    'x-goog-encryption-key-sha256': sha256
+  }));
+};
+
+module.exports = {
+  getEncryptionHeaders,
+  getSubtle,
+  getRandomValues,
+  toBase64,
+  fromBase64
+};
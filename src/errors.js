@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Errors reported by the uploader.
+ *
+ * They are plain constructor functions inheriting from Error instead of ES6
+ * classes because Babel cannot extend built-in classes, and `instanceof`
+ * checks would not work otherwise.
+ *
+ * Every error has:
+ * - retryable: Whether trying again may succeed. For the errors of upload
+ *   attempts, it is what the retry policy decided.
+ * - offset: Last offset confirmed by GCS when the error happened, if any.
+ */
+
+/**
+ * Statuses worth retrying by default: timeouts, rate limits and server
+ * errors. It is the default `retryableStatuses` of retry.js too.
+ */
+const isTransientStatus = status => {
+  return status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Define an error class. Its `init` function receives the details given to
+ * the constructor, after the ones of the parent class, if any.
+ */
+const defineError = (name, init, Parent) => {
+  const initialize = Parent ? function(details) {
+    Parent.initialize.call(this, details);
+    init.call(this, details);
+  } : init;
+
+  function UploaderError(message, details = {}) {
+    this.name = name;
+    this.message = message;
+    this.stack = (new Error(message)).stack;
+    this.offset = details.offset;
+    initialize.call(this, details);
+  }
+  UploaderError.initialize = initialize;
+  UploaderError.prototype = Object.create((Parent || Error).prototype);
+  UploaderError.prototype.constructor = UploaderError;
+  UploaderError.prototype.name = name;
+  return UploaderError;
+};
+
+/**
+ * Unexpected HTTP response status.
+ *
+ * - status: HTTP status code.
+ * - body: Response body, if any.
+ * - retryAfter: Milliseconds to wait before retrying, if the response
+ *   included a `Retry-After` header.
+ */
+const HttpError = defineError('HttpError', function(details) {
+  const { status, body, retryAfter } = details;
+  this.status = status;
+  this.body = body;
+  this.retryAfter = retryAfter;
+  this.retryable = isTransientStatus(status);
+});
+
+/**
+ * GCS does not know about the upload session anymore, it answered a 404 or
+ * a 410 status. The session expired, or it was cancelled. Retrying it does
+ * not help, the upload has to start over with a new session.
+ */
+const SessionExpiredError = defineError('SessionExpiredError', function() {
+  this.retryable = false;
+}, HttpError);
+
+/**
+ * The request did not get a response, i.e. because the network is down.
+ *
+ * - cause: Error thrown by fetch or XMLHttpRequest.
+ */
+const NetworkError = defineError('NetworkError', function({ cause }) {
+  this.cause = cause;
+  this.retryable = true;
+});
+
+/**
+ * Could not get a resumable upload session URI.
+ *
+ * - status: HTTP status of the session request, if it got a response.
+ * - body: Response body, if any.
+ * - cause: Error thrown by the session provider, if any.
+ */
+const SessionError = defineError('SessionError', function(details) {
+  const { status, body, cause } = details;
+  this.status = status;
+  this.body = body;
+  this.cause = cause;
+  this.retryable = status === undefined ? !!cause && cause.retryable !== false
+                                        : isTransientStatus(status);
+});
+
+/**
+ * The retry budget of an upload was exhausted.
+ *
+ * - attempts: Number of consecutive failed attempts.
+ * - offset: Last offset confirmed by GCS.
+ * - cause: Error that caused the last failed attempt.
+ */
+const RetryLimitError = defineError('RetryLimitError', function(details) {
+  const { attempts, cause } = details;
+  this.attempts = attempts;
+  this.cause = cause;
+  this.retryable = false;
+});
+
+/**
+ * The upload was cancelled.
+ *
+ * - offset: Last offset confirmed by GCS.
+ */
+const AbortError = defineError('AbortError', function() {
+  this.retryable = false;
+});
+
+/**
+ * The hashes of the stored object do not match the ones of the data read.
+ * Retrying does not help.
+ *
+ * - expected: `crc32c` and `md5Hash` of the data read.
+ * - actual: `crc32c` and `md5Hash` of the stored object.
+ * - metadata: Metadata of the stored object.
+ */
+const IntegrityError = defineError('IntegrityError', function(details) {
+  const { expected, actual, metadata } = details;
+  this.expected = expected;
+  this.actual = actual;
+  this.metadata = metadata;
+  this.retryable = false;
+});
+
+/**
+ * The file was rejected by the validation options before uploading it.
+ * Retrying does not help.
+ *
+ * - reason: Failed check: `maxSize`, `minSize`, `type`, `extension` or
+ *   `validator`.
+ * - file: Description of the rejected file.
+ * - cause: Error thrown by the custom validator, if any.
+ */
+const ValidationError = defineError('ValidationError', function(details) {
+  const { reason, file, cause } = details;
+  this.reason = reason;
+  this.file = file;
+  this.cause = cause;
+  this.retryable = false;
+});
+
+/**
+ * An upload method was called in a state that does not allow it, i.e.
+ * resuming an upload that is not paused.
+ *
+ * - state: State of the upload.
+ * - target: State the call would have moved the upload to, if any.
+ */
+const StateError = defineError('StateError', function(details) {
+  const { state, target } = details;
+  this.state = state;
+  this.target = target;
+  this.retryable = false;
+});
+
+module.exports = {
+  isTransientStatus,
+  HttpError,
+  SessionExpiredError,
+  NetworkError,
+  SessionError,
+  RetryLimitError,
+  AbortError,
+  IntegrityError,
+  ValidationError,
+  StateError
+};
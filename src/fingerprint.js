@@ -0,0 +1,97 @@
+'use strict';
+
+import nodeCrypto from 'crypto';
+import { OBJECT_OPTIONS } from './object.js';
+
+const toHex = buffer => {
+  return Array.prototype.map.call(new Uint8Array(buffer), byte => {
+    return ('0' + byte.toString(16)).slice(-2);
+  }).join('');
+};
+
+const getSubtleCrypto = () => {
+  if (typeof window === 'undefined' || !window.crypto) {
+    return null;
+  }
+  return window.crypto.subtle || null;
+};
+
+/**
+ * Hex encoded SHA-256 hash of some bytes, with WebCrypto in browsers and
+ * the `crypto` module in Node.js.
+ *
+ * @return Promise that resolves with the hash, or undefined if neither is
+ * available.
+ */
+const sha256 = data => {
+  const subtle = getSubtleCrypto();
+  if (subtle) {
+    return subtle.digest('SHA-256', data).then(toHex);
+  }
+  if (nodeCrypto && nodeCrypto.createHash) {
+    return Promise.resolve(
+      nodeCrypto.createHash('sha256').update(data).digest('hex'));
+  }
+  return Promise.resolve();
+};
+
+/**
+ * Serialize the name and the options of the object being created, so
+ * uploads of the same file to different objects don't share sessions.
+ * Headers are left out: they may include encryption keys.
+ */
+const describeTarget = object => {
+  if (!object) {
+    return undefined;
+  }
+  return JSON.stringify([object.name].concat(OBJECT_OPTIONS.map(option => {
+    return object[option] === undefined ? null : object[option];
+  })));
+};
+
+/**
+ * Compute the fingerprint identifying an upload across page reloads. It is
+ * made of the file name, size and last modification date, the object it
+ * creates, plus a SHA-256 hash of the first chunk of the file for the cases
+ * where these values are not enough to tell two files apart. Data without
+ * a modification date, like Buffers, is always hashed.
+ *
+ * @param {File} file - File to be uploaded.
+ * @param {Steamer} steamer - Steamer used to read the first chunk of data.
+ * @param {boolean} hashFirstChunk - Whether to include the hash of the
+ * first chunk.
+ * @param {object} object - Description of the object to create (see
+ * object.js).
+ *
+ * @return Promise that resolves with the fingerprint object.
+ */
+const getFingerprint = (file, steamer, hashFirstChunk, object) => {
+  const fingerprint = {
+    name: file.name,
+    size: file.size,
+    lastModified: file.lastModified,
+    object: describeTarget(object)
+  };
+
+  if (!hashFirstChunk && file.lastModified !== undefined) {
+    return Promise.resolve(fingerprint);
+  }
+
+  return steamer.read(0, steamer.chunkSize).then(chunk => {
+    return sha256(chunk.data);
+  }).then(hash => {
+    fingerprint.hash = hash;
+    return fingerprint;
+  });
+};
+
+/**
+ * Serialize a fingerprint into the key used to store its session.
+ */
+const fingerprintKey = ({ name, size, lastModified, hash, object }) => {
+  return [name, size, lastModified, hash, object].filter(value => {
+    return value !== undefined;
+  }).join(':');
+};
+
+module.exports = { getFingerprint, fingerprintKey };
@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Running CRC32C and MD5 hashes, the two checksums GCS computes for the
+ * objects it stores.
+ *
+ * This function is stringified to run it inside a Web Worker, so it must
+ * not reference anything defined outside of it, and it is written in plain
+ * ES5 to avoid transpiler helpers.
+ *
+ * @return Object with an `update(data)` method receiving an ArrayBuffer or
+ * a typed array, and a `digest()` method returning the base64 encoded
+ * `crc32c` and `md5` of the data so far, as reported by GCS.
+ */
+function createHashState() {
+  var CRC32C_POLYNOMIAL = 0x82F63B78;
+  var BASE64 =
+    'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  var crcTable = [];
+  var n, k, c;
+  for (n = 0; n < 256; n++) {
+    c = n;
+    for (k = 0; k < 8; k++) {
+      c = c & 1 ? (c >>> 1) ^ CRC32C_POLYNOMIAL : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+
+  var MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+  ];
+  var md5Constants = [];
+  for (n = 0; n < 64; n++) {
+    md5Constants[n] = Math.floor(Math.abs(Math.sin(n + 1)) * 4294967296) | 0;
+  }
+
+  var crc = 0xFFFFFFFF;
+  var md5 = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476];
+  var pending = new Uint8Array(64);
+  var pendingLength = 0;
+  var length = 0;
+  var words = new Int32Array(16);
+
+  function md5Block(state, bytes, offset) {
+    var i, f, g, tmp, sum;
+    for (i = 0; i < 16; i++) {
+      words[i] = bytes[offset + i * 4] |
+        (bytes[offset + i * 4 + 1] << 8) |
+        (bytes[offset + i * 4 + 2] << 16) |
+        (bytes[offset + i * 4 + 3] << 24);
+    }
+
+    var a = state[0];
+    var b = state[1];
+    var c = state[2];
+    var d = state[3];
+
+    for (i = 0; i < 64; i++) {
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      tmp = d;
+      d = c;
+      c = b;
+      sum = (a + f + md5Constants[i] + words[g]) | 0;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+      a = tmp;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  function toBase64(bytes) {
+    var result = '';
+    var i, triplet;
+    for (i = 0; i < bytes.length; i += 3) {
+      triplet = (bytes[i] << 16) |
+        ((i + 1 < bytes.length ? bytes[i + 1] : 0) << 8) |
+        (i + 2 < bytes.length ? bytes[i + 2] : 0);
+      result += BASE64[(triplet >>> 18) & 63] + BASE64[(triplet >>> 12) & 63];
+      result += i + 1 < bytes.length ? BASE64[(triplet >>> 6) & 63] : '=';
+      result += i + 2 < bytes.length ? BASE64[triplet & 63] : '=';
+    }
+    return result;
+  }
+
+  function update(data) {
+    var bytes = data instanceof Uint8Array
+      ? data
+      : new Uint8Array(data.buffer || data, data.byteOffset || 0,
+                       data.byteLength);
+    var i = 0;
+
+    for (i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    length += bytes.length;
+    i = 0;
+
+    if (pendingLength) {
+      while (pendingLength < 64 && i < bytes.length) {
+        pending[pendingLength++] = bytes[i++];
+      }
+      if (pendingLength < 64) {
+        return;
+      }
+      md5Block(md5, pending, 0);
+      pendingLength = 0;
+    }
+
+    for (; i + 64 <= bytes.length; i += 64) {
+      md5Block(md5, bytes, i);
+    }
+
+    while (i < bytes.length) {
+      pending[pendingLength++] = bytes[i++];
+    }
+  }
+
+  function digest() {
+    // Work on a copy of the state, so more data can be added afterwards.
+    var state = md5.slice();
+    var padding = new Uint8Array(pendingLength < 56 ? 64 : 128);
+    var bitsLow = (length * 8) >>> 0;
+    var bitsHigh = Math.floor(length / 0x20000000) >>> 0;
+    var i;
+
+    padding.set(pending.subarray(0, pendingLength));
+    padding[pendingLength] = 0x80;
+    for (i = 0; i < 4; i++) {
+      padding[padding.length - 8 + i] = (bitsLow >>> (i * 8)) & 0xFF;
+      padding[padding.length - 4 + i] = (bitsHigh >>> (i * 8)) & 0xFF;
+    }
+    for (i = 0; i < padding.length; i += 64) {
+      md5Block(state, padding, i);
+    }
+
+    var md5Bytes = new Uint8Array(16);
+    for (i = 0; i < 16; i++) {
+      md5Bytes[i] = (state[i >> 2] >>> ((i % 4) * 8)) & 0xFF;
+    }
+
+    var crcValue = (crc ^ 0xFFFFFFFF) >>> 0;
+    var crcBytes = new Uint8Array([
+      crcValue >>> 24,
+      (crcValue >>> 16) & 0xFF,
+      (crcValue >>> 8) & 0xFF,
+      crcValue & 0xFF
+    ]);
+
+    return {
+      crc32c: toBase64(crcBytes),
+      md5: toBase64(md5Bytes)
+    };
+  }
+
+  return {
+    update: update,
+    digest: digest
+  };
+}
+
+module.exports = createHashState;
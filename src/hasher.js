@@ -0,0 +1,125 @@
+'use strict';
+
+import createHashState from './hash.js';
+
+/**
+ * Source of the worker computing the hashes. It receives `update` and
+ * `digest` messages, in order, and answers each one with its id.
+ */
+const WORKER_SOURCE = `
+var createHashState = ${createHashState.toString()};
+var state = createHashState();
+self.onmessage = function(event) {
+  var message = event.data;
+  if (message.type === 'update') {
+    state.update(message.data);
+    self.postMessage({ id: message.id });
+  } else if (message.type === 'digest') {
+    self.postMessage({ id: message.id, result: state.digest() });
+  }
+};
+`;
+
+const createWorker = () => {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined' ||
+      typeof URL === 'undefined' || !URL.createObjectURL) {
+    return null;
+  }
+
+  try {
+    const url = URL.createObjectURL(new Blob([WORKER_SOURCE], {
+      type: 'application/javascript'
+    }));
+    const worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    return worker;
+  } catch (e) {
+    // i.e. blocked by a Content Security Policy.
+    return null;
+  }
+};
+
+/**
+ * Computes the running CRC32C and MD5 hashes of the uploaded data, in a
+ * Web Worker when one is available so hashing does not block the main
+ * thread.
+ */
+class Hasher {
+  /**
+   * Create a Hasher instance.
+   *
+   * @constructs Hasher
+   *
+   * @param {boolean} useWorker - Whether to hash in a Web Worker, if
+   * available. Defaults to true.
+   */
+  constructor(useWorker = true) {
+    this.worker = useWorker ? createWorker() : null;
+    this.state = this.worker ? null : createHashState();
+    this.requests = {};
+    this.nextId = 0;
+
+    if (this.worker) {
+      this.worker.onmessage = event => {
+        const { id, result } = event.data;
+        const request = this.requests[id];
+        delete this.requests[id];
+        request.resolve(result);
+      };
+      this.worker.onerror = event => {
+        Object.keys(this.requests).forEach(id => {
+          this.requests[id].reject(event);
+        });
+        this.requests = {};
+      };
+    }
+  }
+
+  post(type, data) {
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.requests[id] = { resolve, reject };
+      this.worker.postMessage({ id, type, data });
+    });
+  }
+
+  /**
+   * Adds data to the hashes.
+   *
+   * @param {ArrayBuffer} data - Data to add.
+   *
+   * @return Promise that resolves once the data is hashed.
+   */
+  update(data) {
+    if (!this.worker) {
+      this.state.update(data);
+      return Promise.resolve();
+    }
+    return this.post('update', data);
+  }
+
+  /**
+   * Get the hashes of the data added so far.
+   *
+   * @return Promise that resolves with the base64 encoded `crc32c` and `md5`
+   * hashes, in the format used by GCS.
+   */
+  digest() {
+    if (!this.worker) {
+      return Promise.resolve(this.state.digest());
+    }
+    return this.post('digest');
+  }
+
+  /**
+   * Stops the worker, if any.
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
+
+module.exports = Hasher;
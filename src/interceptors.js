@@ -0,0 +1,189 @@
+'use strict';
+
+/**
+ * Interceptors see, and can change, every HTTP request of the uploads:
+ * i.e. to add authorization or tracing headers, to get a new token and
+ * try again when a request is rejected, or to measure how long requests
+ * take.
+ *
+ * An interceptor is an object with any of these functions:
+ *
+ * - beforeRequest(request): Receives the request about to be sent, with
+ *   its `type` (`session`, `chunk`, `status`, `delete`, `compose` or
+ *   `cleanup`), `method`, `url`, `headers` and `body`. It can change the
+ *   request, i.e. its headers, or return (a Promise resolving to) a new
+ *   one.
+ * - afterResponse(context): Receives the `request`, the `response`, the
+ *   `startTime` and `duration` of the request in milliseconds, the
+ *   `attempt` (0 for the first one) and a `retry()` function sending the
+ *   request again, through every interceptor, and returning a Promise that
+ *   resolves with the new response. It can return (a Promise resolving to)
+ *   the response to use instead, i.e. the one of `retry()`.
+ * - onError(context): Receives the `request`, the `error` it was rejected
+ *   with, i.e. without network or when aborted, its `startTime`,
+ *   `duration` and `attempt`, like afterResponse. The request still fails
+ *   with the error.
+ *
+ * Interceptors run in the order they were added, global ones first.
+ */
+
+/**
+ * Times a request can be sent again with `retry()`, so interceptors
+ * retrying every failed request do not retry forever.
+ */
+const MAX_RETRIES = 3;
+
+// Interceptors of every upload.
+const globalInterceptors = [];
+
+/**
+ * Throws if the interceptor has no hooks, or they are not functions.
+ */
+const validateInterceptor = interceptor => {
+  const hooks = ['beforeRequest', 'afterResponse', 'onError'];
+  const valid = interceptor && hooks.some(hook => interceptor[hook]) &&
+    hooks.every(hook => {
+      return !interceptor[hook] || typeof interceptor[hook] === 'function';
+    });
+  if (!valid) {
+    throw new Error('Interceptors need a beforeRequest, an afterResponse or ' +
+                    'an onError function');
+  }
+};
+
+/**
+ * Add an interceptor to the requests of every upload, including the ones
+ * already running.
+ *
+ * @param {object} interceptor - Object with `beforeRequest`,
+ * `afterResponse` and/or `onError` functions.
+ *
+ * @return Function removing the interceptor.
+ */
+const addInterceptor = interceptor => {
+  validateInterceptor(interceptor);
+  globalInterceptors.push(interceptor);
+  return () => {
+    const index = globalInterceptors.indexOf(interceptor);
+    if (index !== -1) {
+      globalInterceptors.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Run the beforeRequest hooks, in order.
+ *
+ * @return Promise that resolves with the request to send.
+ */
+const runBeforeRequest = (interceptors, request) => {
+  return interceptors.reduce((promise, { beforeRequest }) => {
+    return beforeRequest ? promise.then(current => {
+      return Promise.resolve(beforeRequest(current)).then(result => {
+        return result || current;
+      });
+    }) : promise;
+  }, Promise.resolve(request));
+};
+
+/**
+ * Run the afterResponse hooks, in order. Once a hook retries the request,
+ * the rest are skipped: they already saw the new response.
+ *
+ * @return Promise that resolves with the response to use.
+ */
+const runAfterResponse = (interceptors, context, index = 0) => {
+  const interceptor = interceptors[index];
+  if (!interceptor) {
+    return Promise.resolve(context.response);
+  }
+  if (!interceptor.afterResponse) {
+    return runAfterResponse(interceptors, context, index + 1);
+  }
+
+  let retried = null;
+  const retry = () => {
+    retried = retried || context.retry();
+    return retried;
+  };
+  const hookContext = Object.assign({}, context, { retry });
+  return Promise.resolve(interceptor.afterResponse(hookContext))
+    .then(result => {
+      if (retried) {
+        return result || retried;
+      }
+      return runAfterResponse(interceptors, Object.assign({}, context, {
+        response: result || context.response
+      }), index + 1);
+    });
+};
+
+/**
+ * Run the onError hooks, in order.
+ *
+ * @return Promise that rejects with the error of the request.
+ */
+const runOnError = (interceptors, context) => {
+  return interceptors.reduce((promise, { onError }) => {
+    return onError ? promise.then(() => onError(context)) : promise;
+  }, Promise.resolve()).then(() => {
+    throw context.error;
+  });
+};
+
+/**
+ * Get a transport (see transports/index.js) sending its requests through
+ * the global interceptors and the ones given.
+ *
+ * @param {object} transport - Transport sending the requests.
+ * @param {any} interceptors - Interceptor, or list of interceptors, of the
+ * requests of this transport only.
+ */
+const intercept = (transport, interceptors) => {
+  const own = [].concat(interceptors || []);
+  own.forEach(validateInterceptor);
+
+  const send = (options, attempt) => {
+    // Global interceptors can change while uploading.
+    const all = globalInterceptors.concat(own);
+    if (!all.length) {
+      return transport.request(options);
+    }
+
+    // Hooks get their own copy of the headers, so retries start over.
+    const request = Object.assign({}, options, {
+      headers: Object.assign({}, options.headers)
+    });
+    return runBeforeRequest(all, request).then(current => {
+      const startTime = Date.now();
+      return transport.request(current).then(response => {
+        return runAfterResponse(all, {
+          request: current,
+          response,
+          startTime,
+          duration: Date.now() - startTime,
+          attempt,
+          retry: () => {
+            return attempt < MAX_RETRIES
+              ? send(options, attempt + 1)
+              : Promise.resolve(response);
+          }
+        });
+      }, error => {
+        return runOnError(all, {
+          request: current,
+          error,
+          startTime,
+          duration: Date.now() - startTime,
+          attempt
+        });
+      });
+    });
+  };
+
+  return {
+    request: options => send(options, 0)
+  };
+};
+
+module.exports = { addInterceptor, intercept };
@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * Connectivity monitors tell uploads whether there is a network connection
+ * and what kind of connection it is, so they can wait for the network
+ * instead of failing and retrying while offline.
+ *
+ * Any object implementing the following methods can be used as a monitor:
+ *
+ * - status(): Current connectivity status, an object with `online`, the
+ *   connection `type` (`wifi`, `ethernet`, `cellular`... or undefined if
+ *   unknown) and `metered`.
+ * - subscribe(listener): Calls `listener` with the new status every time it
+ *   changes. Returns a function that stops calling it.
+ */
+
+/**
+ * Network policies, deciding which connections uploads can use.
+ *
+ * - ANY: Any connection.
+ * - UNMETERED: Connections that are not metered, i.e. not cellular ones nor
+ *   the ones where the user asked to save data.
+ * - WIFI: Wi-Fi or wired connections only.
+ */
+const NETWORK_POLICIES = {
+  ANY: 'any',
+  UNMETERED: 'unmetered',
+  WIFI: 'wifi'
+};
+
+/**
+ * Throws if the network policy is not one of NETWORK_POLICIES.
+ */
+const validatePolicy = policy => {
+  const policies = Object.keys(NETWORK_POLICIES)
+    .map(key => NETWORK_POLICIES[key]);
+  if (policies.indexOf(policy) === -1) {
+    throw new Error(`Unknown network policy ${policy}`);
+  }
+};
+
+const UNMETERED_TYPES = ['wifi', 'ethernet'];
+const METERED_TYPES = ['cellular', 'wimax'];
+
+/**
+ * Whether a connectivity status allows uploading under a network policy.
+ * Connections of unknown type are allowed, since most browsers do not
+ * tell.
+ *
+ * @param {object} status - Connectivity status.
+ * @param {string} policy - One of NETWORK_POLICIES. Defaults to ANY.
+ */
+const isAllowed = (status, policy = NETWORK_POLICIES.ANY) => {
+  if (!status.online) {
+    return false;
+  }
+
+  switch (policy) {
+    case NETWORK_POLICIES.UNMETERED:
+      return !status.metered;
+    case NETWORK_POLICIES.WIFI:
+      return !status.type || UNMETERED_TYPES.indexOf(status.type) !== -1;
+    default:
+      return true;
+  }
+};
+
+/**
+ * Get the window or, in workers, the worker global scope.
+ */
+const globalScope = () => {
+  if (typeof window !== 'undefined') {
+    return window;
+  }
+  if (typeof self !== 'undefined') {
+    return self;
+  }
+};
+
+/**
+ * Monitor whose status is set by hand, for environments without the
+ * browser connectivity APIs, i.e. to feed it from a native app.
+ */
+class ManualConnectivityMonitor {
+  /**
+   * Create a ManualConnectivityMonitor instance.
+   *
+   * @constructs ManualConnectivityMonitor
+   *
+   * @param {object} status - Initial status. Online by default.
+   */
+  constructor(status) {
+    this.current = Object.assign({ online: true, metered: false }, status);
+    this.listeners = [];
+  }
+
+  status() {
+    return this.current;
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index !== -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Updates the status and notifies the listeners.
+   *
+   * @param {object} status - Properties of the status that changed.
+   */
+  update(status) {
+    this.current = Object.assign({}, this.current, status);
+    this.listeners.slice().forEach(listener => listener(this.current));
+  }
+}
+
+/**
+ * Monitor watching the `online` and `offline` events of the window and,
+ * where available, the Network Information API (`navigator.connection`).
+ */
+class ConnectivityMonitor extends ManualConnectivityMonitor {
+  /**
+   * Create a ConnectivityMonitor instance.
+   *
+   * @constructs ConnectivityMonitor
+   *
+   * @param {EventTarget} target - Target of the `online` and `offline`
+   * events. Defaults to the global scope, window or the worker one.
+   * @param {Navigator} navigator - Defaults to the one of the global scope.
+   */
+  constructor(target = globalScope(), navigator = target.navigator) {
+    super();
+    this.navigator = navigator;
+    this.current = this.read();
+
+    const update = () => this.update(this.read());
+    target.addEventListener('online', update);
+    target.addEventListener('offline', update);
+    if (navigator.connection && navigator.connection.addEventListener) {
+      navigator.connection.addEventListener('change', update);
+    }
+  }
+
+  read() {
+    const connection = this.navigator.connection || {};
+    const type = connection.type === 'unknown' ? undefined : connection.type;
+    return {
+      online: this.navigator.onLine !== false && type !== 'none',
+      type,
+      metered: !!(connection.metered || connection.saveData ||
+                  METERED_TYPES.indexOf(type) !== -1)
+    };
+  }
+}
+
+let defaultMonitor;
+
+/**
+ * Get the monitor used when none is provided, shared by every upload: a
+ * ConnectivityMonitor in browsers and workers, none otherwise.
+ */
+const getDefaultMonitor = () => {
+  if (defaultMonitor === undefined) {
+    const scope = globalScope();
+    defaultMonitor = scope && scope.addEventListener && scope.navigator
+      ? new ConnectivityMonitor(scope)
+      : null;
+  }
+  return defaultMonitor;
+};
+
+module.exports = {
+  ConnectivityMonitor,
+  ManualConnectivityMonitor,
+  getDefaultMonitor,
+  isAllowed,
+  validatePolicy,
+  NETWORK_POLICIES
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+import { sniffContentType } from './content-type.js';
+
+/**
+ * Options of the uploaded object, forwarded to the session server.
+ */
+const OBJECT_OPTIONS = [
+  'contentType',
+  'contentEncoding',
+  'metadata',
+  'cacheControl',
+  'contentDisposition',
+  'ifGenerationMatch'
+];
+
+/**
+ * Get the name of the uploaded object. A destination ending with `/` is a
+ * prefix for the file name, any other one replaces it.
+ */
+const getObjectName = (name, destination) => {
+  if (!destination) {
+    return name;
+  }
+  if (destination[destination.length - 1] === '/') {
+    return `${destination}${name}`;
+  }
+  return destination;
+};
+
+/**
+ * Describe the object the upload creates, guessing its content type if the
+ * data has none, and set its content type on the upload.
+ *
+ * @param {Upload} upload - Upload instance.
+ * @param {object} reader - Object with a `read(start, end)` method, like a
+ * source or a Steamer, to read the first bytes of the data.
+ * @param {object} options - Upload options.
+ *
+ * @return Promise that resolves with the object description: its `name`
+ * and the `contentType`, `contentEncoding`, `metadata`, `cacheControl`,
+ * `contentDisposition` and `ifGenerationMatch` options given. The content
+ * encoding defaults to the one of the transformed data, if any, and the
+ * metadata of the transformed data is merged into the custom metadata.
+ */
+const describeObject = (upload, reader, options) => {
+  const name = getObjectName(upload.file.name, options.destination);
+  const contentType = upload.contentType
+    ? Promise.resolve(upload.contentType)
+    : sniffContentType(upload.file.name, reader);
+  const source = upload.steamer && upload.steamer.source;
+
+  return Promise.all([
+    contentType,
+    source && source.metadata
+  ]).then(([type, sourceMetadata]) => {
+    upload.contentType = type;
+
+    const object = { name };
+    OBJECT_OPTIONS.forEach(option => {
+      if (options[option] !== undefined && options[option] !== null) {
+        object[option] = options[option];
+      }
+    });
+    object.contentType = type;
+    if (!object.contentEncoding && source && source.contentEncoding) {
+      object.contentEncoding = source.contentEncoding;
+    }
+    if (sourceMetadata) {
+      object.metadata = Object.assign({}, object.metadata, sourceMetadata);
+    }
+    upload.object = object;
+    return object;
+  });
+};
+
+/**
+ * Get the JSON body describing an object in the requests to the session
+ * server: `bucketFile` is the object name, and the rest of the object
+ * options are sent as they are.
+ */
+const objectBody = object => {
+  const body = { bucketFile: object.name };
+  OBJECT_OPTIONS.forEach(option => {
+    if (object[option] !== undefined) {
+      body[option] = object[option];
+    }
+  });
+  return body;
+};
+
+module.exports = { describeObject, getObjectName, objectBody, OBJECT_OPTIONS };
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Weight of the latest speed sample in the smoothed speed.
+ */
+const DEFAULT_SMOOTHING = 0.3;
+
+/**
+ * Builds the progress objects reported by uploads:
+ *
+ * - sent: Number of bytes sent.
+ * - pending: Number of bytes left to send, or null if the size of the
+ *   upload is unknown.
+ * - total: Size of the upload, or null if unknown.
+ * - percent: Percentage (0 to 100) of bytes sent, or null if unknown.
+ * - bytesPerSecond: Upload speed, smoothed with an exponential moving
+ *   average so it does not jump around with every chunk.
+ * - eta: Estimated number of seconds left, or null if unknown.
+ */
+class ProgressTracker {
+  /**
+   * Create a ProgressTracker instance.
+   *
+   * @constructs ProgressTracker
+   *
+   * @param {number} total - Size of the upload, or null if unknown.
+   * @param {number} smoothing - Weight (0 to 1) of the latest speed sample.
+   */
+  constructor(total, smoothing = DEFAULT_SMOOTHING) {
+    this.total = total;
+    this.smoothing = smoothing;
+    this.sent = 0;
+    this.bytesPerSecond = 0;
+    this.reset();
+  }
+
+  /**
+   * Restart the speed measurement, i.e. after resuming a paused upload, so
+   * the time spent paused does not count.
+   */
+  reset() {
+    this.lastSent = this.sent;
+    this.lastTime = Date.now();
+  }
+
+  /**
+   * Update the number of bytes sent.
+   *
+   * @param {number} sent - Number of bytes sent.
+   *
+   * @return Progress object.
+   */
+  update(sent) {
+    const now = Date.now();
+
+    if (sent > this.lastSent && now > this.lastTime) {
+      const rate = (sent - this.lastSent) * 1000 / (now - this.lastTime);
+      this.bytesPerSecond = this.bytesPerSecond
+        ? this.smoothing * rate + (1 - this.smoothing) * this.bytesPerSecond
+        : rate;
+    }
+
+    this.sent = sent;
+    this.lastSent = sent;
+    this.lastTime = now;
+
+    return this.progress;
+  }
+
+  get progress() {
+    const { sent, total, bytesPerSecond } = this;
+    if (total === null || total === undefined) {
+      return {
+        sent,
+        pending: null,
+        total: null,
+        percent: null,
+        bytesPerSecond,
+        eta: null
+      };
+    }
+
+    const pending = Math.max(0, total - sent);
+
+    let eta = null;
+    if (!pending) {
+      eta = 0;
+    } else if (bytesPerSecond) {
+      eta = pending / bytesPerSecond;
+    }
+
+    return {
+      sent,
+      pending,
+      total,
+      percent: total ? sent * 100 / total : 100,
+      bytesPerSecond,
+      eta
+    };
+  }
+}
+
+module.exports = ProgressTracker;
@@ -0,0 +1,339 @@
+'use strict';
+
+import {
+  run,
+  DONE,
+  UPLOADING,
+  PAUSED,
+  CANCELLED,
+  FAILED
+} from './upload.js';
+import { canTransition } from './states.js';
+
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * State of the items waiting for a free slot to start or continue
+ * uploading. Besides this one, items can be UPLOADING, whatever the state
+ * of their upload is while it is active, PAUSED, DONE, CANCELLED or FAILED.
+ */
+const QUEUED = 'queued';
+
+const isFinished = item => {
+  return item.state === DONE || item.state === CANCELLED ||
+         item.state === FAILED;
+};
+
+/**
+ * Size of the data given to the queue, if it tells: Files, Blobs, Buffers,
+ * typed arrays and ArrayBuffers do, file paths and streams don't.
+ */
+const inputSize = file => {
+  if (typeof file.size === 'number') {
+    return file.size;
+  }
+  if (typeof file.byteLength === 'number') {
+    return file.byteLength;
+  }
+  return null;
+};
+
+/**
+ * A file in an UploadQueue. It keeps the Upload instance once the file
+ * starts uploading. The queue listens to the upload events with
+ * addEventListener, so the upload on* callbacks are free to use.
+ */
+class QueueItem {
+  constructor(queue, id, file, priority) {
+    this.queue = queue;
+    this.id = id;
+    this.file = file;
+    this.priority = priority;
+    this.state = QUEUED;
+    this.upload = null;
+    this.sent = 0;
+  }
+
+  /**
+   * Size of the item, as its upload knows it once started, or null if
+   * still unknown.
+   */
+  get size() {
+    const { upload } = this;
+    if (upload && typeof upload.size === 'number') {
+      return upload.size;
+    }
+    return inputSize(this.file);
+  }
+
+  pause() {
+    this.queue.pause(this);
+  }
+
+  resume() {
+    this.queue.resume(this);
+  }
+
+  cancel() {
+    this.queue.cancel(this);
+  }
+}
+
+/**
+ * Uploads a list of files, running at most `concurrency` uploads at once.
+ *
+ * Files are uploaded by order of priority (higher first) and, for the same
+ * priority, by their position in the queue. Pausing an item frees its slot
+ * for the next one in the queue. Resuming it puts it back in the queue.
+ *
+ * Events are delivered through these callbacks, if set:
+ * - onprogress({ sent, total }): Aggregate progress of all the items.
+ * - onitemprogress(item, progress)
+ * - onitemdone(item, info)
+ * - onitemerror(item, error)
+ * - onitemcancel(item)
+ * - ondone(): All the items are done, cancelled or failed.
+ *
+ * Usage:
+ *
+ * ```javascript
+ * const queue = new gcsUploader.UploadQueue(input.files, { concurrency: 2 });
+ * queue.onprogress = progress => console.log(progress.sent, progress.total);
+ * queue.ondone = () => console.log('All done');
+ * ```
+ */
+class UploadQueue {
+  /**
+   * Create a UploadQueue instance.
+   *
+   * @constructs UploadQueue
+   *
+   * @param {FileList|Array} files - Files to be uploaded.
+   * @param {object} options - `concurrency`, the maximum number of uploads
+   * running at once. The rest of options are used to `run` every upload.
+   */
+  constructor(files, options = {}) {
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.options = options;
+    this.items = [];
+    this.nextId = 0;
+    this.finished = false;
+
+    if (files) {
+      this.add(files);
+    }
+  }
+
+  /**
+   * Add files to the queue. Uploads start on the next tick, so callbacks
+   * can be set right after creating the queue.
+   *
+   * @param {FileList|Array|File} files - Files to be uploaded.
+   * @param {number} priority - Priority of the files. Defaults to 0.
+   *
+   * @return Array of QueueItem instances.
+   */
+  add(files, priority = 0) {
+    const list = files.length === undefined
+      ? [files]
+      : Array.prototype.slice.call(files);
+
+    const items = list.map(file => {
+      return new QueueItem(this, this.nextId++, file, priority);
+    });
+
+    this.items = this.items.concat(items);
+    this.finished = false;
+    Promise.resolve().then(() => this.pump());
+
+    return items;
+  }
+
+  /**
+   * Aggregate progress of all the items not cancelled. The total is null
+   * while the size of any of them is unknown, i.e. streams or files not
+   * opened yet.
+   */
+  get progress() {
+    return this.items.reduce((progress, item) => {
+      if (item.state !== CANCELLED) {
+        const { size } = item;
+        progress.sent += item.sent;
+        progress.total = progress.total === null || size === null
+          ? null
+          : progress.total + size;
+      }
+      return progress;
+    }, { sent: 0, total: 0 });
+  }
+
+  /**
+   * Number of items currently uploading.
+   */
+  get active() {
+    return this.items.filter(item => item.state === UPLOADING).length;
+  }
+
+  /**
+   * Pauses an item or, if no item is given, all of them.
+   */
+  pause(item) {
+    if (!item) {
+      return this.items.forEach(item => this.pause(item));
+    }
+
+    if (item.state === UPLOADING) {
+      if (!canTransition(item.upload.currentState, PAUSED)) {
+        // i.e. finalizing, it is about to finish anyway.
+        return;
+      }
+      item.upload.pause();
+    } else if (item.state !== QUEUED) {
+      return;
+    }
+
+    item.state = PAUSED;
+    this.pump();
+  }
+
+  /**
+   * Resumes an item or, if no item is given, all of them. Resumed items
+   * continue uploading once there is a free slot.
+   */
+  resume(item) {
+    if (!item) {
+      return this.items.forEach(item => this.resume(item));
+    }
+
+    if (item.state !== PAUSED) {
+      return;
+    }
+
+    item.state = QUEUED;
+    this.pump();
+  }
+
+  /**
+   * Cancels an item or, if no item is given, all of them.
+   */
+  cancel(item) {
+    if (!item) {
+      return this.items.forEach(item => this.cancel(item));
+    }
+
+    if (isFinished(item)) {
+      return;
+    }
+
+    if (item.upload) {
+      // Triggers the upload .oncancel callback.
+      return item.upload.cancel();
+    }
+
+    item.state = CANCELLED;
+    this.emit('onitemcancel', item);
+    this.pump();
+  }
+
+  /**
+   * Moves an item to a new position in the queue.
+   */
+  move(item, index) {
+    const current = this.items.indexOf(item);
+    if (current === -1) {
+      return;
+    }
+    this.items.splice(current, 1);
+    this.items.splice(index, 0, item);
+    this.pump();
+  }
+
+  /**
+   * Changes the priority of an item.
+   */
+  setPriority(item, priority) {
+    item.priority = priority;
+    this.pump();
+  }
+
+  /**
+   * Starts or resumes queued items until all the slots are taken.
+   */
+  pump() {
+    let available = this.concurrency - this.active;
+
+    const queued = this.items.filter(item => item.state === QUEUED)
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => b.item.priority - a.item.priority || a.index - b.index)
+      .map(({ item }) => item);
+
+    while (available > 0 && queued.length) {
+      this.start(queued.shift());
+      available--;
+    }
+
+    this.checkFinished();
+  }
+
+  start(item) {
+    item.state = UPLOADING;
+
+    if (item.upload) {
+      return item.upload.resume();
+    }
+
+    try {
+      item.upload = run(item.file, this.options);
+    } catch (error) {
+      item.state = FAILED;
+      this.emit('onitemerror', item, error);
+      return;
+    }
+
+    const upload = item.upload;
+    upload.addEventListener('progress', progress => {
+      item.sent = progress.sent;
+      this.emit('onitemprogress', item, progress);
+      this.emit('onprogress', this.progress);
+    });
+    upload.addEventListener('done', info => {
+      item.state = DONE;
+      // The final size of the upload, known even for streams by now.
+      item.sent = item.size;
+      this.emit('onitemdone', item, info);
+      this.emit('onprogress', this.progress);
+      this.pump();
+    });
+    upload.addEventListener('error', error => {
+      if (upload.currentState === FAILED) {
+        item.state = FAILED;
+      }
+      this.emit('onitemerror', item, error);
+      if (item.state === FAILED) {
+        this.pump();
+      }
+    });
+    upload.addEventListener('cancel', () => {
+      item.state = CANCELLED;
+      this.emit('onitemcancel', item);
+      this.emit('onprogress', this.progress);
+      this.pump();
+    });
+  }
+
+  checkFinished() {
+    if (this.finished || !this.items.every(isFinished)) {
+      return;
+    }
+    this.finished = true;
+    this.emit('ondone');
+  }
+
+  emit(name, ...args) {
+    if (typeof this[name] === 'function') {
+      this[name](...args);
+    }
+  }
+}
+
+module.exports = UploadQueue;
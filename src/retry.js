@@ -0,0 +1,113 @@
+'use strict';
+
+import { SessionExpiredError, isTransientStatus } from './errors.js';
+
+/**
+ * Default retry policy options.
+ *
+ * - baseDelay: Milliseconds to wait before the first retry. The delay is
+ *   doubled on every consecutive failure.
+ * - maxDelay: Maximum number of milliseconds to wait between retries.
+ * - jitter: Fraction (0 to 1) of the delay that is randomized, so clients
+ *   failing at the same time do not retry at the same time.
+ * - maxAttempts: Number of consecutive failed attempts after which the
+ *   upload fails.
+ * - retryableStatuses: HTTP statuses worth retrying. Either an array of
+ *   statuses or a function receiving a status and returning a boolean.
+ */
+const DEFAULT_RETRY_OPTIONS = {
+  baseDelay: 1000,
+  maxDelay: 64000,
+  jitter: 0.5,
+  maxAttempts: 10,
+  retryableStatuses: isTransientStatus
+};
+
+/**
+ * Parse a `Retry-After` header, which can contain either a number of
+ * seconds or an HTTP date.
+ *
+ * @return Number of milliseconds to wait, or undefined.
+ */
+const parseRetryAfter = value => {
+  if (!value) {
+    return;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+};
+
+/**
+ * Decides whether a failed upload attempt should be retried and how long to
+ * wait before doing it, using exponential backoff with jitter.
+ */
+class RetryPolicy {
+  /**
+   * Create a RetryPolicy instance.
+   *
+   * @constructs RetryPolicy
+   *
+   * @param {object} options - See DEFAULT_RETRY_OPTIONS.
+   */
+  constructor(options) {
+    Object.assign(this, DEFAULT_RETRY_OPTIONS, options);
+
+    if (Array.isArray(this.retryableStatuses)) {
+      const statuses = this.retryableStatuses;
+      this.retryableStatuses = status => statuses.indexOf(status) !== -1;
+    }
+  }
+
+  /**
+   * Whether an error is worth retrying. Errors with an HTTP status are if
+   * the status is retryable, unless the session expired. Other errors are
+   * unless they are flagged as not retryable.
+   */
+  isRetryable(error) {
+    if (!error) {
+      return true;
+    }
+    if (error instanceof SessionExpiredError) {
+      return false;
+    }
+    if (error.status !== undefined) {
+      return this.retryableStatuses(error.status);
+    }
+    return error.retryable !== false;
+  }
+
+  /**
+   * Whether the given number of consecutive failed attempts exhausted the
+   * retry budget.
+   */
+  isExhausted(attempts) {
+    return attempts >= this.maxAttempts;
+  }
+
+  /**
+   * Number of milliseconds to wait before the next attempt.
+   *
+   * @param {number} attempts - Number of consecutive failed attempts.
+   * @param {number} retryAfter - Milliseconds requested by the server with
+   * a `Retry-After` header, if any. Takes precedence over the backoff.
+   */
+  delay(attempts, retryAfter) {
+    if (retryAfter !== undefined) {
+      return retryAfter;
+    }
+
+    const exponential = Math.min(this.maxDelay,
+                                 this.baseDelay * Math.pow(2, attempts - 1));
+    return exponential * (1 - this.jitter * Math.random());
+  }
+}
+
+module.exports = { RetryPolicy, parseRetryAfter };
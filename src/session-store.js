@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Session stores persist the information required to resume an upload
+ * after a page reload or a browser crash: the session URI, the fingerprint
+ * of the file being uploaded and the last offset confirmed by GCS.
+ *
+ * Any object implementing the following methods can be used as a store:
+ *
+ * - get(key): Promise that resolves with the stored record or undefined.
+ * - set(key, record): Promise that resolves once the record is stored.
+ * - remove(key): Promise that resolves once the record is removed.
+ */
+
+/**
+ * GCS resumable upload sessions expire after a week.
+ */
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const KEY_PREFIX = 'gcs-uploader:';
+
+/**
+ * Store keeping sessions in memory. Sessions do not survive page reloads,
+ * but can still be resumed by other uploads of the same file.
+ */
+class MemoryStore {
+  constructor() {
+    this.records = {};
+  }
+
+  get(key) {
+    return Promise.resolve(this.records[key]);
+  }
+
+  set(key, record) {
+    this.records[key] = record;
+    return Promise.resolve();
+  }
+
+  remove(key) {
+    delete this.records[key];
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Store keeping sessions in a Web Storage object, `window.localStorage` by
+ * default.
+ */
+class LocalStorageStore {
+  /**
+   * Create a LocalStorageStore instance.
+   *
+   * @constructs LocalStorageStore
+   *
+   * @param {Storage} storage - Web Storage object. Defaults to localStorage.
+   */
+  constructor(storage) {
+    this.storage = storage || window.localStorage;
+  }
+
+  get(key) {
+    return Promise.resolve().then(() => {
+      const record = this.storage.getItem(KEY_PREFIX + key);
+      return record ? JSON.parse(record) : undefined;
+    });
+  }
+
+  set(key, record) {
+    return Promise.resolve().then(() => {
+      this.storage.setItem(KEY_PREFIX + key, JSON.stringify(record));
+    });
+  }
+
+  remove(key) {
+    return Promise.resolve().then(() => {
+      this.storage.removeItem(KEY_PREFIX + key);
+    });
+  }
+}
+
+/**
+ * Store keeping sessions in an IndexedDB object store.
+ */
+class IndexedDBStore {
+  /**
+   * Create a IndexedDBStore instance.
+   *
+   * @constructs IndexedDBStore
+   *
+   * @param {string} dbName - Database name.
+   * @param {string} storeName - Object store name.
+   */
+  constructor(dbName = 'gcs-uploader', storeName = 'sessions') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    this.db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Try again next time, i.e. if the database was blocked.
+    this.db.catch(() => {
+      this.db = null;
+    });
+
+    return this.db;
+  }
+
+  transaction(mode, operation) {
+    return this.open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    }));
+  }
+
+  get(key) {
+    return this.transaction('readonly', store => store.get(key));
+  }
+
+  set(key, record) {
+    return this.transaction('readwrite', store => store.put(record, key))
+      .then(() => {});
+  }
+
+  remove(key) {
+    return this.transaction('readwrite', store => store.delete(key))
+      .then(() => {});
+  }
+}
+
+/**
+ * Get the store used when none is provided: localStorage if available,
+ * IndexedDB in workers, which have no localStorage, and memory otherwise.
+ */
+const createDefaultStore = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return new LocalStorageStore(window.localStorage);
+    }
+  } catch (e) {
+    // Accessing localStorage throws if it is disabled.
+  }
+  if (typeof window === 'undefined' && typeof indexedDB !== 'undefined') {
+    return new IndexedDBStore();
+  }
+  return new MemoryStore();
+};
+
+/**
+ * Whether a stored record belongs to a session that GCS already expired.
+ */
+const isExpired = record => {
+  return !record.createdAt || Date.now() - record.createdAt >= SESSION_TTL;
+};
+
+module.exports = {
+  MemoryStore,
+  LocalStorageStore,
+  IndexedDBStore,
+  createDefaultStore,
+  isExpired
+};
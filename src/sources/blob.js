@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Source reading a browser Blob or File with the FileReader API.
+ *
+ * Every source exposes the `name`, `size` (null if unknown), `type` and
+ * `lastModified` of the data, and a `read(start, end)` method returning a
+ * Promise that resolves with `{ data, size }`. Sources can also implement
+ * `abort()` to stop a read in progress, `close()` to release the resources
+ * they use and `slice(start, end, options)` to get an independent source
+ * reading a range of the data.
+ */
+class BlobSource {
+  /**
+   * Create a BlobSource instance.
+   *
+   * @constructs BlobSource
+   *
+   * @param {Blob} blob - Blob or File to be uploaded.
+   * @param {object} options - `name` and `type` overrides. Blobs have no
+   * name, unlike Files.
+   */
+  constructor(blob, options = {}) {
+    if (typeof FileReader === 'undefined') {
+      throw new Error('Unsupported File API');
+    }
+
+    this.blob = blob;
+    // The File itself, given to session providers, unless it is renamed.
+    this.file = blob.name && !options.name ? blob : undefined;
+    this.name = options.name || blob.name;
+    this.size = blob.size;
+    this.type = options.type || blob.type;
+    this.lastModified = blob.lastModified;
+
+    this.reader = new FileReader();
+  }
+
+  read(start, end) {
+    const limit = end <= this.size ? end : this.size;
+    const blob = this.blob.slice(start, limit);
+    return new Promise((resolve, reject) => {
+      this.reader.onerror = reject;
+      this.reader.onabort = () => reject(new Error('File read aborted'));
+      this.reader.onloadend = event => {
+        if (!event.target.readyState == FileReader.DONE) {
+          return;
+        }
+        resolve({
+          data: event.target.result,
+          size: event.loaded
+        });
+      };
+      this.reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Get a source reading a range of the data, independent of this one.
+   */
+  slice(start, end, options) {
+    return new BlobSource(this.blob.slice(start, end), options);
+  }
+
+  abort() {
+    if (this.reader.readyState === FileReader.LOADING) {
+      this.reader.abort();
+    }
+  }
+}
+
+module.exports = BlobSource;
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Source reading data already in memory: a Node.js Buffer, any typed array
+ * or an ArrayBuffer.
+ */
+class BufferSource {
+  /**
+   * Create a BufferSource instance.
+   *
+   * @constructs BufferSource
+   *
+   * @param {Uint8Array|ArrayBuffer} buffer - Data to be uploaded.
+   * @param {object} options - `name` and `type` of the data.
+   */
+  constructor(buffer, options = {}) {
+    this.buffer = buffer instanceof ArrayBuffer
+      ? new Uint8Array(buffer)
+      : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    this.name = options.name;
+    this.size = this.buffer.byteLength;
+    this.type = options.type || '';
+    this.lastModified = undefined;
+  }
+
+  /**
+   * Get a source reading a range of the data, independent of this one.
+   */
+  slice(start, end, options) {
+    return new BufferSource(this.buffer.subarray(start, end), options);
+  }
+
+  read(start, end) {
+    const data = this.buffer.subarray(start, Math.min(end, this.size));
+    return Promise.resolve({
+      data,
+      size: data.byteLength
+    });
+  }
+}
+
+module.exports = BufferSource;
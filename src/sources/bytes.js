@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Get the bytes of a piece of data: a string, encoded as UTF-8, an
+ * ArrayBuffer or a typed array, which is returned as is.
+ */
+const toBytes = data => {
+  if (typeof data === 'string') {
+    // Buffer is only there in Node.js, and older versions lack TextEncoder.
+    return typeof TextEncoder !== 'undefined'
+      ? new TextEncoder().encode(data)
+      : Buffer.from(data);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  return data;
+};
+
+/**
+ * Get the bytes of a Blob.
+ *
+ * @return Promise that resolves with a Uint8Array.
+ */
+const readBlob = blob => {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer().then(toBytes);
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = reject;
+    reader.onloadend = event => resolve(toBytes(event.target.result));
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+module.exports = { toBytes, readBlob };
@@ -0,0 +1,88 @@
+'use strict';
+
+import fs from 'fs';
+
+/**
+ * Source reading a file from disk in Node.js.
+ */
+class FilePathSource {
+  /**
+   * Create a FilePathSource instance.
+   *
+   * @constructs FilePathSource
+   *
+   * @param {string} path - Path of the file to be uploaded.
+   * @param {object} options - `name` and `type` overrides. The name defaults
+   * to the file name. `start` and `end` limit the source to a range of the
+   * file.
+   */
+  constructor(path, options = {}) {
+    const stats = fs.statSync(path);
+    if (!stats.isFile()) {
+      throw new Error(`${path} is not a file`);
+    }
+
+    const start = Math.min(options.start || 0, stats.size);
+    const end = options.end === undefined ? stats.size : options.end;
+
+    this.path = path;
+    this.name = options.name || path.split(/[\\/]/).pop();
+    this.start = start;
+    this.size = Math.max(0, Math.min(end, stats.size) - start);
+    this.type = options.type || '';
+    this.lastModified = stats.mtime.getTime();
+
+    this.fd = null;
+  }
+
+  open() {
+    if (!this.fd) {
+      this.fd = new Promise((resolve, reject) => {
+        fs.open(this.path, 'r', (error, fd) => {
+          return error ? reject(error) : resolve(fd);
+        });
+      });
+    }
+    return this.fd;
+  }
+
+  read(start, end) {
+    const length = Math.max(0, Math.min(end, this.size) - start);
+    return this.open().then(fd => new Promise((resolve, reject) => {
+      const data = Buffer.alloc(length);
+      const position = this.start + start;
+      fs.read(fd, data, 0, length, position, (error, bytesRead) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve({
+          data: data.slice(0, bytesRead),
+          size: bytesRead
+        });
+      });
+    }));
+  }
+
+  /**
+   * Get a source reading a range of the data, independent of this one.
+   */
+  slice(start, end, options) {
+    return new FilePathSource(this.path, Object.assign({}, options, {
+      start: this.start + start,
+      end: this.start + end
+    }));
+  }
+
+  /**
+   * Closes the file descriptor, if open.
+   */
+  close() {
+    if (!this.fd) {
+      return;
+    }
+    this.fd.then(fd => fs.close(fd, () => {}), () => {});
+    this.fd = null;
+  }
+}
+
+module.exports = FilePathSource;
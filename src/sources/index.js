@@ -0,0 +1,73 @@
+'use strict';
+
+import BlobSource from './blob.js';
+import BufferSource from './buffer.js';
+import FilePathSource from './file-path.js';
+import StreamSource from './stream.js';
+
+const isNodeStream = input => {
+  return typeof input.pipe === 'function' && typeof input.read === 'function';
+};
+
+const isReadableStream = input => typeof input.getReader === 'function';
+
+const isAsyncIterable = input => {
+  return typeof Symbol !== 'undefined' && !!Symbol.asyncIterator &&
+    typeof input[Symbol.asyncIterator] === 'function';
+};
+
+/**
+ * Get the source reading the data to be uploaded:
+ *
+ * - Blob or File: BlobSource.
+ * - String: FilePathSource, the path of a file in Node.js.
+ * - Buffer, typed array or ArrayBuffer: BufferSource.
+ * - Node.js Readable stream: StreamSource.
+ * - WHATWG ReadableStream, or async iterable, of bytes or Blobs:
+ *   StreamSource.
+ * - An object with a `read(start, end)` method is used as is.
+ *
+ * @param {any} input - Data to be uploaded.
+ * @param {object} options - `name` and `type` of the data.
+ *
+ * @return Source instance.
+ */
+const createSource = (input, options = {}) => {
+  if (typeof input === 'string') {
+    return new FilePathSource(input, options);
+  }
+
+  if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+    return new BufferSource(input, options);
+  }
+
+  if (typeof Blob !== 'undefined' && input instanceof Blob) {
+    return new BlobSource(input, options);
+  }
+
+  if (isNodeStream(input)) {
+    return StreamSource.fromNodeStream(input, options);
+  }
+
+  if (isReadableStream(input)) {
+    return StreamSource.fromReadableStream(input, options);
+  }
+
+  if (isAsyncIterable(input)) {
+    return StreamSource.fromAsyncIterable(input, options);
+  }
+
+  if (typeof input.read === 'function') {
+    return input;
+  }
+
+  throw new Error('Unsupported File API');
+};
+
+module.exports = {
+  createSource,
+  BlobSource,
+  BufferSource,
+  FilePathSource,
+  StreamSource
+};
@@ -0,0 +1,242 @@
+'use strict';
+
+import { toBytes, readBlob } from './bytes.js';
+
+const concat = (pieces, length) => {
+  if (pieces.length === 1) {
+    return pieces[0];
+  }
+  const result = new Uint8Array(length);
+  let offset = 0;
+  pieces.forEach(piece => {
+    result.set(piece, offset);
+    offset += piece.byteLength;
+  });
+  return result;
+};
+
+/**
+ * Get a function pulling the next piece of data of a Node.js Readable
+ * stream.
+ *
+ * @return Function returning a Promise that resolves with the next piece of
+ * data, or null once the stream ends.
+ */
+const nodeStreamReader = stream => {
+  let ended = false;
+  let error = null;
+  let waiting = null;
+
+  const notify = () => {
+    if (waiting) {
+      const attempt = waiting;
+      waiting = null;
+      attempt();
+    }
+  };
+
+  stream.on('readable', notify);
+  stream.on('end', () => {
+    ended = true;
+    notify();
+  });
+  stream.on('error', e => {
+    error = e;
+    notify();
+  });
+
+  return () => new Promise((resolve, reject) => {
+    const attempt = () => {
+      if (error) {
+        return reject(error);
+      }
+      const data = stream.read();
+      if (data !== null) {
+        return resolve(toBytes(data));
+      }
+      if (ended) {
+        return resolve(null);
+      }
+      waiting = attempt;
+    };
+    attempt();
+  });
+};
+
+/**
+ * Get the bytes of a piece of data coming from a stream, which can be a
+ * Blob, i.e. the data of a MediaRecorder `dataavailable` event.
+ */
+const pieceToBytes = piece => {
+  if (typeof Blob !== 'undefined' && piece instanceof Blob) {
+    return readBlob(piece);
+  }
+  return Promise.resolve(toBytes(piece));
+};
+
+/**
+ * Get a function pulling the next piece of data of a WHATWG ReadableStream.
+ *
+ * @return Function returning a Promise that resolves with the next piece of
+ * data, or null once the stream closes. Its `release` property cancels the
+ * stream.
+ */
+const readableStreamReader = stream => {
+  const reader = stream.getReader();
+  const pull = () => reader.read().then(({ done, value }) => {
+    return done ? null : pieceToBytes(value);
+  });
+  pull.release = () => reader.cancel().catch(() => {});
+  return pull;
+};
+
+/**
+ * Get a function pulling the next piece of data of an async iterable.
+ *
+ * @return Function returning a Promise that resolves with the next piece of
+ * data, or null once the iteration finishes. Its `release` property stops
+ * the iteration.
+ */
+const asyncIterableReader = iterable => {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const pull = () => iterator.next().then(({ done, value }) => {
+    return done ? null : pieceToBytes(value);
+  });
+  pull.release = () => {
+    if (iterator.return) {
+      Promise.resolve(iterator.return()).catch(() => {});
+    }
+  };
+  return pull;
+};
+
+/**
+ * Source reading data of unknown size that can only be read once, in order,
+ * like a stream. Its `size` is null until the stream ends.
+ *
+ * Data is kept in memory from the offset of the last read, so the last
+ * chunk can be read again if it has to be uploaded again. Reading from an
+ * older offset is not possible.
+ */
+class StreamSource {
+  /**
+   * Create a StreamSource instance.
+   *
+   * @constructs StreamSource
+   *
+   * @param {function} pull - Function returning a Promise that resolves
+   * with the next piece of data, or null once there is no more data. It can
+   * have a `release` property, called to stop reading before the end.
+   * @param {object} options - `name` and `type` of the data.
+   */
+  constructor(pull, options = {}) {
+    this.pull = pull;
+    this.name = options.name;
+    this.size = null;
+    this.type = options.type || '';
+    this.lastModified = undefined;
+
+    // Data read from the stream, starting at `offset`.
+    this.pieces = [];
+    this.offset = 0;
+    this.length = 0;
+    this.ended = false;
+  }
+
+  /**
+   * Create a source reading a Node.js Readable stream. The name defaults to
+   * the path of file streams.
+   */
+  static fromNodeStream(stream, options = {}) {
+    const name = options.name ||
+      (typeof stream.path === 'string' ? stream.path.split(/[\\/]/).pop()
+                                       : undefined);
+    return new StreamSource(nodeStreamReader(stream),
+                            Object.assign({}, options, { name }));
+  }
+
+  /**
+   * Create a source reading a WHATWG ReadableStream of bytes or Blobs.
+   */
+  static fromReadableStream(stream, options) {
+    return new StreamSource(readableStreamReader(stream), options);
+  }
+
+  /**
+   * Create a source reading an async iterable of bytes or Blobs, i.e. the
+   * data of a MediaRecorder.
+   */
+  static fromAsyncIterable(iterable, options) {
+    return new StreamSource(asyncIterableReader(iterable), options);
+  }
+
+  /**
+   * Drop the data before `offset`.
+   */
+  discard(offset) {
+    if (offset <= this.offset) {
+      return;
+    }
+    const data = concat(this.pieces, this.length)
+      .subarray(offset - this.offset);
+    this.pieces = data.byteLength ? [data] : [];
+    this.length = data.byteLength;
+    this.offset = offset;
+  }
+
+  /**
+   * Read from the stream until there is data up to `end` or the stream
+   * ends.
+   */
+  fill(end) {
+    if (this.ended || this.offset + this.length >= end) {
+      return Promise.resolve();
+    }
+
+    return this.pull().then(data => {
+      if (data === null || data === undefined) {
+        this.ended = true;
+        this.size = this.offset + this.length;
+        return;
+      }
+      if (data.byteLength) {
+        this.pieces.push(data);
+        this.length += data.byteLength;
+      }
+      return this.fill(end);
+    });
+  }
+
+  read(start, end) {
+    if (start < this.offset) {
+      return Promise.reject(
+        new Error(`Stream data before byte ${this.offset} was discarded`));
+    }
+
+    this.discard(start);
+
+    return this.fill(end).then(() => {
+      const data = concat(this.pieces, this.length);
+      this.pieces = data.byteLength ? [data] : [];
+      const chunk = data.subarray(0, Math.min(end - start, this.length));
+      return {
+        data: chunk,
+        size: chunk.byteLength
+      };
+    });
+  }
+
+  /**
+   * Stops reading the stream, if it didn't end, and drops the data kept.
+   */
+  close() {
+    if (!this.ended && this.pull.release) {
+      this.pull.release();
+    }
+    this.ended = true;
+    this.pieces = [];
+    this.length = 0;
+  }
+}
+
+module.exports = StreamSource;
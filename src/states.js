@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Upload states.
+ */
+// Created, but not started yet.
+const IDLE = 'idle';
+// Preparing the upload and requesting its session.
+const INITIATING = 'initiating';
+const UPLOADING = 'uploading';
+const PAUSED = 'paused';
+// Waiting for a network connection allowed by the network policy.
+const WAITING = 'waiting-for-network';
+// All the data is uploaded, checking its integrity or composing the parts.
+const FINALIZING = 'finalizing';
+const DONE = 'done';
+const CANCELLED = 'cancelled';
+const FAILED = 'failed';
+
+/**
+ * States each state can move to. Done, cancelled and failed uploads are
+ * finished, they can't move anymore.
+ */
+const TRANSITIONS = {
+  [IDLE]: [INITIATING, CANCELLED, FAILED],
+  [INITIATING]: [UPLOADING, PAUSED, WAITING, CANCELLED, FAILED],
+  // Back to INITIATING when the session expired and a new one is needed.
+  [UPLOADING]: [INITIATING, PAUSED, WAITING, FINALIZING, CANCELLED, FAILED],
+  // To FINALIZING if the parts of a composite upload finished meanwhile.
+  [PAUSED]: [INITIATING, UPLOADING, WAITING, FINALIZING, CANCELLED, FAILED],
+  [WAITING]: [INITIATING, UPLOADING, PAUSED, CANCELLED, FAILED],
+  [FINALIZING]: [DONE, CANCELLED, FAILED],
+  [DONE]: [],
+  [CANCELLED]: [],
+  [FAILED]: []
+};
+
+/**
+ * Whether an upload can move from a state to another.
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).indexOf(to) !== -1;
+};
+
+/**
+ * Whether an upload in a state is finished.
+ */
+const isFinished = state => !TRANSITIONS[state].length;
+
+module.exports = {
+  IDLE,
+  INITIATING,
+  UPLOADING,
+  PAUSED,
+  WAITING,
+  FINALIZING,
+  DONE,
+  CANCELLED,
+  FAILED,
+  canTransition,
+  isFinished
+};
@@ -1,11 +1,15 @@
 'use strict';
 
+import { createSource } from './sources/index.js';
+
 const Steamer = (() => {
   const DEFAULT_CHUNK_SIZE = 256 * 1024 * 4; // 1Mb
 
   /**
    * Steamer is a helper class to ease the process of slicing a file in
-   * small chunks of data.
+   * small chunks of data. The data is read through a source (see
+   * sources/index.js), so it can come from a browser File, a file path,
+   * a Buffer or a stream.
    */
   class Steamer {
     /**
@@ -13,58 +17,151 @@ const Steamer = (() => {
      *
      * @constructs Steamer
      *
-     * @param {string} filename - File to be uploaded.
+     * @param {any} filename - File, or any other input supported by
+     * createSource, to be uploaded.
      * @param {object} chunkSize - Number of bytes of each file chunk.
+     * @param {object} options - `name` and `type` of the data, for inputs
+     * that don't have them.
      */
-    constructor(filename, chunkSize) {
-      if (!window.File || !window.FileReader) {
-        throw new Error('Unsupported File API');
-      }
-
+    constructor(filename, chunkSize, options) {
       if (!filename) {
         throw new Error('Missing mandatory file name');
       }
 
       this.file = filename;
+      this.source = createSource(filename, options);
       this.chunkSize = chunkSize || DEFAULT_CHUNK_SIZE;
 
-      this.reader = new FileReader();
-
       this.progress = 0;
 
+      // Running hashes of the data read, if enabled. Bytes are hashed in
+      // order, once, no matter how many times they are read.
+      this.hasher = null;
+      this.hashedOffset = 0;
+      // Error of the hasher, if it failed.
+      this.hashError = null;
+
       return this;
     }
 
     /**
-     * Get the next chunk of data.
+     * Size of the data, or null if still unknown.
+     */
+    get size() {
+      return this.source.size;
+    }
+
+    /**
+     * Read a range of bytes of the file. Unlike `next`, this doesn't
+     * modify the Steamer progress.
      *
-     * @param {number} offset - initial byte of the data chunk.
+     * @param {number} start - initial byte of the data chunk.
+     * @param {number} end - final byte (not included) of the data chunk.
      *
      * @return Promise that resolves with an object containing the chunk of
      * data and the number of bytes read.
      */
-    next(offset) {
+    read(start, end) {
+      return this.source.read(start, end);
+    }
+
+    /**
+     * Aborts the file read in progress, if any.
+     */
+    abort() {
+      if (this.source.abort) {
+        this.source.abort();
+      }
+    }
+
+    /**
+     * Releases the resources used to read the data, like file descriptors.
+     */
+    close() {
+      if (this.source.close) {
+        this.source.close();
+      }
+    }
+
+    /**
+     * Get the next chunk of data.
+     *
+     * @param {number} offset - initial byte of the data chunk. Defaults to
+     * the end of the previously read chunk.
+     * @param {number} maxSize - Maximum size of the chunk, if smaller than
+     * the chunk size.
+     *
+     * @return Promise that resolves with an object containing the chunk of
+     * data, the number of bytes read and whether it is the last chunk.
+     */
+    next(offset, maxSize = Infinity) {
       if (offset === '*') {
         return Promise.resolve();
       }
-      const _offset = offset || this.progress;
-      let limit = _offset + this.chunkSize;
-      limit = limit <= this.file.size ? limit : this.file.size;
-      const blob = this.file.slice(_offset, limit);
-      return new Promise((resolve, reject) => {
-        this.reader.onerror = reject;
-        this.reader.onloadend = event => {
-          if (!event.target.readyState == FileReader.DONE) {
-            return;
-          }
-          this.progress += event.loaded;
-          resolve({
-            data: event.target.result,
-            size: event.loaded
-          });
-        };
-        this.reader.readAsArrayBuffer(blob);
+      const _offset = offset === undefined ? this.progress : offset;
+      const size = Math.min(this.chunkSize, maxSize);
+      return this.read(_offset, _offset + size).then(chunk => {
+        this.progress = _offset + chunk.size;
+        // The size of some sources is only known once all the data is read.
+        chunk.last = this.size !== null && this.progress >= this.size;
+        return this.hash(_offset, chunk).then(() => chunk);
+      });
+    }
+
+    /**
+     * Add a chunk of data to the running hashes, if enabled.
+     *
+     * @param {number} offset - initial byte of the data chunk.
+     * @param {object} chunk - Chunk of data returned by `read`.
+     *
+     * @return Promise that resolves once the chunk is queued for hashing,
+     * or rejects if the hasher failed with some previous chunk.
+     */
+    hash(offset, chunk) {
+      if (this.hashError) {
+        return Promise.reject(this.hashError);
+      }
+      if (!this.hasher || offset + chunk.size <= this.hashedOffset) {
+        return Promise.resolve();
+      }
+
+      if (offset > this.hashedOffset) {
+        // Some bytes were skipped, i.e. when resuming a persisted session,
+        // so we need to read them first.
+        const end = Math.min(offset, this.hashedOffset + this.chunkSize);
+        return this.read(this.hashedOffset, end).then(skipped => {
+          return this.hash(this.hashedOffset, skipped);
+        }).then(() => this.hash(offset, chunk));
+      }
+
+      const data = offset < this.hashedOffset
+        ? chunk.data.slice(this.hashedOffset - offset)
+        : chunk.data;
+      this.hashedOffset = offset + chunk.size;
+      // We don't wait for the hasher, so hashing happens while the chunk
+      // is being uploaded. Hashes are requested in order anyway. Hashes
+      // missing some data are useless, so failures are not worth retrying.
+      this.hasher.update(data).catch(error => {
+        if (!this.hashError) {
+          this.hashError = error || new Error('Could not hash the data');
+          this.hashError.retryable = false;
+        }
       });
+      return Promise.resolve();
+    }
+
+    /**
+     * Get the hashes of the data read so far.
+     *
+     * @return Promise that resolves with the base64 encoded `crc32c` and
+     * `md5` hashes, or null if hashing is not enabled. It rejects if the
+     * hasher failed.
+     */
+    digest() {
+      if (this.hashError) {
+        return Promise.reject(this.hashError);
+      }
+      return this.hasher ? this.hasher.digest() : Promise.resolve(null);
     }
   };
 
@@ -0,0 +1,126 @@
+'use strict';
+
+import { AbortError } from './errors.js';
+
+/**
+ * Limits the rate at which data is uploaded with a token bucket: tokens,
+ * one per byte, are added at the allowed rate, up to one second worth of
+ * them, and sending data takes as many tokens as its size. Chunks can be
+ * bigger than the bucket, so taking tokens can leave it in debt, which
+ * makes the next chunk wait until the debt is paid.
+ *
+ * A Throttle can be shared by several uploads, so they share the same
+ * budget.
+ */
+class Throttle {
+  /**
+   * Create a Throttle instance.
+   *
+   * @constructs Throttle
+   *
+   * @param {number} bytesPerSecond - Maximum rate, or null for no limit.
+   */
+  constructor(bytesPerSecond = null) {
+    this.rate = null;
+    this.tokens = 0;
+    this.updatedAt = Date.now();
+    this.waiting = [];
+    this.timer = null;
+    this.setRate(bytesPerSecond);
+  }
+
+  /**
+   * Changes the maximum rate. Data already waiting is sent at the new
+   * rate.
+   *
+   * @param {number} bytesPerSecond - Maximum rate, or null for no limit.
+   */
+  setRate(bytesPerSecond) {
+    if (bytesPerSecond !== null &&
+        (typeof bytesPerSecond !== 'number' || !(bytesPerSecond > 0))) {
+      throw new Error(
+        `Invalid rate ${bytesPerSecond}, it must be a positive number`);
+    }
+
+    this.refill();
+    this.rate = bytesPerSecond;
+    if (this.rate === null) {
+      this.tokens = 0;
+    }
+    this.schedule();
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.rate !== null) {
+      const tokens = this.tokens + (now - this.updatedAt) * this.rate / 1000;
+      this.tokens = Math.min(this.rate, tokens);
+    }
+    this.updatedAt = now;
+  }
+
+  /**
+   * Takes the tokens needed to send some data.
+   *
+   * @param {number} bytes - Size of the data.
+   * @param {any} owner - Who sends the data, i.e. an upload, so the data
+   * can stop waiting with `drop`.
+   *
+   * @return Promise that resolves once the data can be sent, or rejects
+   * with an AbortError if it is dropped.
+   */
+  take(bytes, owner) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ bytes, owner, resolve, reject });
+      this.schedule();
+    });
+  }
+
+  /**
+   * Stops waiting to send the data of an owner, i.e. of an upload that is
+   * paused or cancelled, so it doesn't hold back the data of the others.
+   *
+   * @param {any} owner - Owner given to `take`.
+   */
+  drop(owner) {
+    const dropped = this.waiting.filter(waiter => waiter.owner === owner);
+    if (!dropped.length) {
+      return;
+    }
+    this.waiting = this.waiting.filter(waiter => waiter.owner !== owner);
+    dropped.forEach(({ reject }) => {
+      reject(new AbortError('The throttled data was dropped'));
+    });
+    this.schedule();
+  }
+
+  /**
+   * Lets the waiting data go while the bucket is not in debt, and waits
+   * for the debt to be paid otherwise.
+   */
+  schedule() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.refill();
+    while (this.waiting.length && (this.rate === null || this.tokens >= 0)) {
+      const { bytes, resolve } = this.waiting.shift();
+      if (this.rate !== null) {
+        this.tokens -= bytes;
+      }
+      resolve();
+    }
+
+    if (this.waiting.length) {
+      const delay = Math.ceil(-this.tokens * 1000 / this.rate);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.schedule();
+      }, delay);
+    }
+  }
+}
+
+module.exports = Throttle;
@@ -0,0 +1,105 @@
+'use strict';
+
+import StreamSource from '../sources/stream.js';
+import { getSubtle, getRandomValues, toBase64 } from '../encryption.js';
+
+/**
+ * Size of the plain text encrypted in each record.
+ */
+const DEFAULT_RECORD_SIZE = 64 * 1024;
+
+/**
+ * Size of the random initialization vector at the start of each record.
+ */
+const IV_SIZE = 12;
+
+/**
+ * Key of the custom object metadata holding the key envelope.
+ */
+const ENVELOPE_METADATA_KEY = 'encryption-envelope';
+
+/**
+ * Transform encrypting the data with AES-GCM using WebCrypto, before it
+ * leaves the browser.
+ *
+ * The data is encrypted with a random 256 bit key, in records of
+ * `recordSize` bytes of plain text. Each record is stored as a random 12
+ * byte IV followed by the cipher text and its 16 byte authentication tag.
+ * The data key is wrapped with `wrappingKey` and stored, with everything
+ * needed to decrypt the object, as a JSON envelope in the
+ * `encryption-envelope` custom metadata of the object.
+ *
+ * @param {object} options - Options:
+ * - wrappingKey: CryptoKey used to wrap the data key, with the `wrapKey`
+ *   usage. AES-KW and RSA-OAEP keys are supported.
+ * - recordSize: Size of the plain text of each record. Defaults to 64KiB.
+ *
+ * @return Transform function.
+ */
+const encrypt = (options = {}) => source => {
+  const subtle = getSubtle();
+  if (!subtle) {
+    throw new Error('Client-side encryption needs WebCrypto');
+  }
+
+  const { wrappingKey, recordSize = DEFAULT_RECORD_SIZE } = options;
+  if (!wrappingKey) {
+    throw new Error('Client-side encryption needs a wrapping key');
+  }
+
+  const wrapAlgorithm = { name: wrappingKey.algorithm.name };
+  const dataKey = subtle.generateKey({ name: 'AES-GCM', length: 256 }, true,
+                                     ['encrypt', 'decrypt']);
+
+  const metadata = dataKey.then(key => {
+    return subtle.wrapKey('raw', key, wrappingKey, wrapAlgorithm);
+  }).then(wrappedKey => ({
+    [ENVELOPE_METADATA_KEY]: JSON.stringify({
+      algorithm: 'AES-GCM',
+      keyLength: 256,
+      recordSize,
+      ivLength: IV_SIZE,
+      wrapAlgorithm: wrapAlgorithm.name,
+      wrappedKey: toBase64(wrappedKey),
+      contentType: source.type || undefined
+    })
+  }));
+  // Failures are reported when the metadata is used.
+  metadata.catch(() => {});
+
+  let offset = 0;
+  let ended = false;
+  const pull = () => {
+    if (ended) {
+      return Promise.resolve(null);
+    }
+
+    return source.read(offset, offset + recordSize).then(chunk => {
+      offset += chunk.size;
+      ended = chunk.size < recordSize ||
+        source.size !== null && offset >= source.size;
+      if (!chunk.size) {
+        return null;
+      }
+
+      const iv = getRandomValues(new Uint8Array(IV_SIZE));
+      return dataKey.then(key => {
+        return subtle.encrypt({ name: 'AES-GCM', iv }, key, chunk.data);
+      }).then(cipherText => {
+        const record = new Uint8Array(IV_SIZE + cipherText.byteLength);
+        record.set(iv);
+        record.set(new Uint8Array(cipherText), IV_SIZE);
+        return record;
+      });
+    });
+  };
+
+  const encrypted = new StreamSource(pull, {
+    name: source.name,
+    type: 'application/octet-stream'
+  });
+  encrypted.metadata = metadata;
+  return encrypted;
+};
+
+module.exports = encrypt;
@@ -0,0 +1,88 @@
+'use strict';
+
+import zlib from 'zlib';
+import StreamSource from '../sources/stream.js';
+import { sourcePuller, lazyPull } from './pull.js';
+
+const toUint8Array = data => {
+  return data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+};
+
+/**
+ * Compress the data with the CompressionStream API of browsers.
+ *
+ * @return Function pulling the compressed data.
+ */
+const compressionStreamPull = source => {
+  const pull = sourcePuller(source);
+  const input = new ReadableStream({
+    pull(controller) {
+      return pull().then(data => {
+        if (data === null) {
+          controller.close();
+        } else {
+          controller.enqueue(toUint8Array(data));
+        }
+      });
+    }
+  }, { highWaterMark: 0 });
+
+  const output = input.pipeThrough(new CompressionStream('gzip'));
+  return StreamSource.fromReadableStream(output).pull;
+};
+
+/**
+ * Compress the data with the zlib module of Node.js.
+ *
+ * @return Function pulling the compressed data.
+ */
+const zlibPull = (source, level) => {
+  const pull = sourcePuller(source);
+  const gzip = zlib.createGzip(level === undefined ? {} : { level });
+
+  // Write into the compressor as long as it is not full.
+  const pump = () => pull().then(data => {
+    if (data === null) {
+      gzip.end();
+    } else if (gzip.write(Buffer.from(toUint8Array(data)))) {
+      pump();
+    } else {
+      gzip.once('drain', pump);
+    }
+  }).catch(error => gzip.emit('error', error));
+  pump();
+
+  return StreamSource.fromNodeStream(gzip).pull;
+};
+
+/**
+ * Transform compressing the data with gzip. The object is stored with a
+ * `gzip` Content-Encoding and the content type of the original data, so
+ * GCS can serve it decompressed. The size of the compressed data is only
+ * known once it is all compressed.
+ *
+ * @param {object} options - `level` of compression, 0 to 9. Only used in
+ * Node.js.
+ *
+ * @return Transform function.
+ */
+const gzip = (options = {}) => source => {
+  if (typeof CompressionStream === 'undefined' && !(zlib && zlib.createGzip)) {
+    throw new Error('gzip compression is not supported');
+  }
+
+  const compressed = new StreamSource(lazyPull(() => {
+    return typeof CompressionStream !== 'undefined'
+      ? compressionStreamPull(source)
+      : zlibPull(source, options.level);
+  }), {
+    name: source.name,
+    type: source.type
+  });
+  compressed.contentEncoding = 'gzip';
+  return compressed;
+};
+
+module.exports = gzip;
@@ -0,0 +1,27 @@
+'use strict';
+
+import gzip from './gzip.js';
+import resizeImage from './resize-image.js';
+import encrypt from './encrypt.js';
+
+/**
+ * Apply a list of transforms to the data to be uploaded.
+ *
+ * A transform is a function receiving a source (see sources/index.js) and
+ * returning a new source that reads the transformed data, usually a
+ * StreamSource of unknown size. It should only read its input once the
+ * upload reads its output. The `type` of the new source is the content type
+ * of the uploaded object, and its `contentEncoding`, if any, is stored with
+ * the object too, as well as its `metadata` (or a Promise resolving to it),
+ * which is merged into the custom metadata of the object.
+ *
+ * @param {object} source - Source of the original data.
+ * @param {Array} transforms - Transform functions, applied in order.
+ *
+ * @return Source of the transformed data.
+ */
+const applyTransforms = (source, transforms = []) => {
+  return transforms.reduce((input, transform) => transform(input), source);
+};
+
+module.exports = { applyTransforms, gzip, resizeImage, encrypt };
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Size of the pieces of data read from the input of a transform.
+ */
+const PIECE_SIZE = 256 * 1024;
+
+/**
+ * Get a function pulling the data of a source, in order, piece by piece.
+ *
+ * @param {object} source - Source to read (see sources/index.js).
+ *
+ * @return Function returning a Promise that resolves with the next piece of
+ * data, or null once all the data is read.
+ */
+const sourcePuller = source => {
+  let offset = 0;
+  let ended = false;
+
+  return () => {
+    if (ended) {
+      return Promise.resolve(null);
+    }
+    return source.read(offset, offset + PIECE_SIZE).then(chunk => {
+      offset += chunk.size;
+      // Sources of unknown size know it once they are read to the end.
+      ended = !chunk.size || source.size !== null && offset >= source.size;
+      return chunk.size ? chunk.data : null;
+    });
+  };
+};
+
+/**
+ * Get a pull function that only starts the work of a transform, created by
+ * `create`, the first time it is called, so the input is not read before
+ * the upload starts.
+ *
+ * @param {function} create - Function returning the actual pull function.
+ */
+const lazyPull = create => {
+  let pull = null;
+  const lazy = () => {
+    if (!pull) {
+      pull = create();
+    }
+    return pull();
+  };
+  lazy.release = () => {
+    if (pull && pull.release) {
+      pull.release();
+    }
+  };
+  return lazy;
+};
+
+module.exports = { sourcePuller, lazyPull, PIECE_SIZE };
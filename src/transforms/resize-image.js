@@ -0,0 +1,107 @@
+'use strict';
+
+import StreamSource from '../sources/stream.js';
+import { readBlob } from '../sources/bytes.js';
+import { sourcePuller } from './pull.js';
+
+const DEFAULT_QUALITY = 0.9;
+
+/**
+ * Read all the data of a source.
+ *
+ * @return Promise that resolves with the list of pieces of data.
+ */
+const readAll = source => {
+  const pull = sourcePuller(source);
+  const pieces = [];
+  const next = () => pull().then(data => {
+    if (data === null) {
+      return pieces;
+    }
+    pieces.push(data);
+    return next();
+  });
+  return next();
+};
+
+/**
+ * Draw an image with the given dimensions and encode it.
+ *
+ * @return Promise that resolves with a Blob.
+ */
+const encode = (image, width, height, type, quality) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+    return canvas.convertToBlob({ type, quality });
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      return blob ? resolve(blob) : reject(new Error('Could not encode image'));
+    }, type, quality);
+  });
+};
+
+/**
+ * Transform shrinking images to fit in `maxWidth` and `maxHeight`, keeping
+ * their aspect ratio. Images are decoded and encoded with the browser image
+ * APIs, so they are read whole, and the size of the result is unknown until
+ * then. Data of other types is not transformed.
+ *
+ * @param {object} options - Options:
+ * - maxWidth: Maximum width in pixels.
+ * - maxHeight: Maximum height in pixels.
+ * - type: Content type of the resized image, i.e. `image/webp`. Defaults
+ *   to the type of the original image.
+ * - quality: Quality (0 to 1) of lossy formats. Defaults to 0.9.
+ *
+ * @return Transform function.
+ */
+const resizeImage = (options = {}) => source => {
+  if (typeof createImageBitmap === 'undefined') {
+    throw new Error('Resizing images is not supported');
+  }
+
+  if (source.type && source.type.indexOf('image/') !== 0) {
+    return source;
+  }
+
+  const {
+    maxWidth = Infinity,
+    maxHeight = Infinity,
+    quality = DEFAULT_QUALITY
+  } = options;
+  const type = options.type || source.type || 'image/jpeg';
+
+  let pulled = false;
+  const pull = () => {
+    if (pulled) {
+      return Promise.resolve(null);
+    }
+    pulled = true;
+
+    return readAll(source).then(pieces => {
+      const original = new Blob(pieces, { type: source.type });
+      return createImageBitmap(original).then(image => {
+        const scale = Math.min(1, maxWidth / image.width,
+                               maxHeight / image.height);
+        if (scale === 1 && type === source.type) {
+          // Already small enough.
+          return original;
+        }
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+        return encode(image, width, height, type, quality);
+      });
+    }).then(readBlob);
+  };
+
+  return new StreamSource(pull, { name: source.name, type });
+};
+
+module.exports = resizeImage;
@@ -0,0 +1,282 @@
+'use strict';
+
+import { AbortError } from '../errors.js';
+import { toBytes, readBlob } from '../sources/bytes.js';
+import createHashState from '../hash.js';
+import { createResponse } from './response.js';
+
+const FAKE_HOST = 'https://fake-gcs.test';
+
+/**
+ * Get the bytes of a request body.
+ *
+ * @return Promise that resolves with a typed array.
+ */
+const readBody = body => {
+  if (body === undefined || body === null) {
+    return Promise.resolve(new Uint8Array(0));
+  }
+  if (typeof Blob !== 'undefined' && body instanceof Blob) {
+    return readBlob(body);
+  }
+  return Promise.resolve(toBytes(body));
+};
+
+const concatBytes = chunks => {
+  const size = chunks.reduce((total, chunk) => total + chunk.byteLength, 0);
+  const bytes = new Uint8Array(size);
+  chunks.reduce((offset, chunk) => {
+    bytes.set(chunk, offset);
+    return offset + chunk.byteLength;
+  }, 0);
+  return bytes;
+};
+
+const jsonResponse = (status, body) => {
+  return createResponse(status, name => {
+    return /^content-type$/i.test(name) ? 'application/json' : null;
+  }, JSON.stringify(body));
+};
+
+/**
+ * Get a header, whatever the case of its name.
+ */
+const getHeader = (headers = {}, name) => {
+  const key = Object.keys(headers).filter(header => {
+    return header.toLowerCase() === name.toLowerCase();
+  })[0];
+  return key ? headers[key] : null;
+};
+
+const emptyResponse = (status, headers) => {
+  return createResponse(status, name => getHeader(headers, name));
+};
+
+/**
+ * Parse a `bytes first-last/total` Content-Range header. The range is `*`
+ * in status queries, and so is the total while it is unknown.
+ */
+const parseContentRange = header => {
+  const match = /^bytes (\*|(\d+)-(\d+))\/(\*|\d+)$/.exec(header || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    first: match[2] === undefined ? null : parseInt(match[2], 10),
+    last: match[3] === undefined ? null : parseInt(match[3], 10),
+    total: match[4] === '*' ? null : parseInt(match[4], 10)
+  };
+};
+
+/**
+ * In-memory transport behaving like GCS and a session server, to test
+ * uploads without a network:
+ *
+ * - POST requests to any URL create a resumable session, answering with
+ *   the session URI in the format expected by the default session options
+ *   (`{ data: sessionUri }`). The object name is the `bucketFile` of the
+ *   request body.
+ * - PUT requests to session URIs store chunks and answer with a 308 status
+ *   and the `Range` persisted so far, or with the object metadata once
+ *   all the data is there. `bytes *` ranges query the upload status.
+ * - DELETE requests to session URIs cancel them, with a 499 status.
+ * - POST requests to URLs ending with `/compose` compose the objects named
+ *   in the `parts` of the body, and the ones to URLs ending with `/cleanup`
+ *   delete them, like the default composite upload options expect.
+ *
+ * Stored objects are kept in `objects`, by name, as `{ data, metadata }`,
+ * and every request in `requests`.
+ */
+class FakeGcsTransport {
+  /**
+   * Create a FakeGcsTransport instance.
+   *
+   * @constructs FakeGcsTransport
+   *
+   * @param {object} options - Optional:
+   * - bucket: Bucket of the stored objects. Defaults to `fake-bucket`.
+   * - maxBytesPerRequest: Maximum number of bytes persisted by a request,
+   *   so the rest of the chunk has to be sent again, as GCS sometimes
+   *   does. Unlimited by default.
+   */
+  constructor(options = {}) {
+    this.bucket = options.bucket || 'fake-bucket';
+    this.maxBytesPerRequest = options.maxBytesPerRequest || Infinity;
+    this.sessions = {};
+    this.objects = {};
+    this.requests = [];
+    this.failures = [];
+    this.nextId = 0;
+  }
+
+  /**
+   * Make the next requests fail.
+   *
+   * @param {number} status - Status of the failed responses, or 0 to
+   * reject the requests like when there is no network.
+   * @param {number} times - Number of requests to fail.
+   */
+  failNext(status, times = 1) {
+    for (let i = 0; i < times; i++) {
+      this.failures.push(status);
+    }
+  }
+
+  /**
+   * Make a session expire, so GCS answers its requests with a 410 status.
+   */
+  expire(sessionUri) {
+    if (this.sessions[sessionUri]) {
+      this.sessions[sessionUri].expired = true;
+    }
+  }
+
+  request({ type, method, url, headers, body, signal, onUploadProgress }) {
+    method = method.toUpperCase();
+    this.requests.push({ type, method, url, headers });
+
+    return readBody(body).then(bytes => {
+      if (signal && signal.aborted) {
+        throw new AbortError('Request aborted');
+      }
+      if (onUploadProgress && bytes.byteLength) {
+        onUploadProgress(bytes.byteLength);
+      }
+
+      if (this.failures.length) {
+        const status = this.failures.shift();
+        if (!status) {
+          throw new TypeError('Failed to fetch');
+        }
+        return emptyResponse(status);
+      }
+
+      const session = this.sessions[url];
+      if (session) {
+        return this.handleSession(session, method, headers, bytes);
+      }
+      if (method === 'POST') {
+        // Session, compose and cleanup requests have JSON bodies.
+        const json = typeof body === 'string' ? JSON.parse(body) : {};
+        if (/\/compose$/.test(url)) {
+          return this.compose(json);
+        }
+        if (/\/cleanup$/.test(url)) {
+          return this.cleanup(json);
+        }
+        return this.createSession(json);
+      }
+      return emptyResponse(404);
+    });
+  }
+
+  createSession(body) {
+    const sessionUri = `${FAKE_HOST}/upload?upload_id=${this.nextId++}`;
+    this.sessions[sessionUri] = {
+      name: body.bucketFile || `object-${this.nextId}`,
+      contentType: body.contentType,
+      chunks: [],
+      persisted: 0,
+      metadata: null,
+      expired: false,
+      deleted: false
+    };
+    return jsonResponse(200, { data: sessionUri });
+  }
+
+  handleSession(session, method, headers, bytes) {
+    if (session.expired) {
+      return emptyResponse(410);
+    }
+    if (session.deleted) {
+      return emptyResponse(404);
+    }
+    if (method === 'DELETE') {
+      session.deleted = true;
+      return emptyResponse(499);
+    }
+    if (method !== 'PUT') {
+      return emptyResponse(405);
+    }
+    if (session.metadata) {
+      return jsonResponse(200, session.metadata);
+    }
+
+    const range = parseContentRange(getHeader(headers, 'Content-Range'));
+    if (!range) {
+      return emptyResponse(400);
+    }
+
+    if (range.first !== null) {
+      if (range.last - range.first + 1 !== bytes.byteLength ||
+          range.first > session.persisted) {
+        return emptyResponse(400);
+      }
+      // Bytes persisted already are ignored.
+      const start = session.persisted - range.first;
+      const end = Math.min(bytes.byteLength, start + this.maxBytesPerRequest);
+      if (end > start) {
+        session.chunks.push(bytes.subarray(start, end));
+        session.persisted += end - start;
+      }
+    }
+
+    if (range.total !== null && session.persisted === range.total) {
+      const contentType = getHeader(headers, 'Content-Type') ||
+        session.contentType;
+      session.metadata = this.store(session.name, concatBytes(session.chunks),
+                                    contentType);
+      return jsonResponse(200, session.metadata);
+    }
+    if (range.total !== null && session.persisted > range.total) {
+      return emptyResponse(400);
+    }
+
+    return emptyResponse(308, session.persisted ? {
+      Range: `bytes=0-${session.persisted - 1}`
+    } : {});
+  }
+
+  compose(body) {
+    const parts = body.parts.map(name => this.objects[name]);
+    if (parts.some(part => !part)) {
+      return emptyResponse(404);
+    }
+    const data = concatBytes(parts.map(part => part.data));
+    const metadata = this.store(body.bucketFile, data,
+                                parts.length && parts[0].metadata.contentType);
+    return jsonResponse(200, { data: metadata });
+  }
+
+  cleanup(body) {
+    body.parts.forEach(name => {
+      delete this.objects[name];
+    });
+    return emptyResponse(204);
+  }
+
+  /**
+   * Store an object.
+   *
+   * @return Its metadata, as GCS reports it.
+   */
+  store(name, data, contentType) {
+    const hash = createHashState();
+    hash.update(data);
+    const { crc32c, md5 } = hash.digest();
+    const metadata = {
+      bucket: this.bucket,
+      name,
+      generation: String(Date.now()),
+      size: String(data.byteLength),
+      contentType,
+      crc32c,
+      md5Hash: md5,
+      mediaLink: `${FAKE_HOST}/download/${this.bucket}/${name}`
+    };
+    this.objects[name] = { data, metadata };
+    return metadata;
+  }
+}
+
+module.exports = FakeGcsTransport;
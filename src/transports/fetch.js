@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Transport sending requests with the Fetch API. It can't report the
+ * progress of request bodies, so `onUploadProgress` is ignored.
+ */
+class FetchTransport {
+  /**
+   * Create a FetchTransport instance.
+   *
+   * @constructs FetchTransport
+   *
+   * @param {function} fetchFunction - fetch implementation. Defaults to the
+   * global `fetch`, looked up on every request.
+   */
+  constructor(fetchFunction) {
+    this.fetch = fetchFunction;
+  }
+
+  request({ method, url, headers, body, signal }) {
+    const send = this.fetch || fetch;
+    return send(url, { method, headers, body, signal, mode: 'cors' });
+  }
+}
+
+module.exports = FetchTransport;
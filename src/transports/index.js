@@ -0,0 +1,76 @@
+'use strict';
+
+import FetchTransport from './fetch.js';
+import XhrTransport from './xhr.js';
+import NodeTransport from './node.js';
+import FakeGcsTransport from './fake-gcs.js';
+import { intercept } from '../interceptors.js';
+
+/**
+ * Transports send the HTTP requests of uploads: the session requests, the
+ * chunks, the status queries, the session cancellations and the compose
+ * and cleanup requests of composite uploads.
+ *
+ * Any object implementing the following method can be used as a transport:
+ *
+ * - request({ type, method, url, headers, body, signal, onUploadProgress }):
+ *   Sends a request. Its `type` tells what the request is for (`session`,
+ *   `chunk`, `status`, `delete`, `compose` or `cleanup`), and can be
+ *   ignored. The `body`, if any, is a string, a Blob, a Buffer or a typed
+ *   array.
+ *   `signal` is an AbortSignal, if available, and
+ *   `onUploadProgress` a callback receiving the number of bytes of the body
+ *   sent so far, if the caller wants to know. Returns a Promise that
+ *   resolves with a fetch-like Response object, with `status`,
+ *   `headers.get(name)`, `text()` and `json()`, or rejects if the request
+ *   gets no response, with an error named `AbortError` if it was aborted.
+ */
+
+const fetchTransport = new FetchTransport();
+const xhrTransport = new XhrTransport();
+const nodeTransport = new NodeTransport();
+
+/**
+ * Transport used when none is provided. It picks, for every request,
+ * XMLHttpRequest if the caller wants to know the upload progress, fetch if
+ * available, or the Node.js `http(s)` modules otherwise.
+ */
+const defaultTransport = {
+  request(options) {
+    const hasXhr = typeof XMLHttpRequest !== 'undefined';
+    if (hasXhr && options.onUploadProgress) {
+      return xhrTransport.request(options);
+    }
+    if (typeof fetch !== 'undefined') {
+      return fetchTransport.request(options);
+    }
+    if (hasXhr) {
+      return xhrTransport.request(options);
+    }
+    return nodeTransport.request(options);
+  }
+};
+
+/**
+ * Get the transport of an upload: the `transport` option, if any, or the
+ * default one, sending its requests through the interceptors (see
+ * interceptors.js).
+ *
+ * @param {object} options - Upload options.
+ */
+const getTransport = options => {
+  const { transport = defaultTransport, interceptors } = options;
+  if (!transport || typeof transport.request !== 'function') {
+    throw new Error('The transport must have a request method');
+  }
+  return intercept(transport, interceptors);
+};
+
+module.exports = {
+  defaultTransport,
+  getTransport,
+  FetchTransport,
+  XhrTransport,
+  NodeTransport,
+  FakeGcsTransport
+};
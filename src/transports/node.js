@@ -0,0 +1,92 @@
+'use strict';
+
+import http from 'http';
+import https from 'https';
+import { AbortError } from '../errors.js';
+import { toBytes } from '../sources/bytes.js';
+import { createResponse } from './response.js';
+
+/**
+ * Size of the pieces request bodies are written in, to report their
+ * progress.
+ */
+const WRITE_SIZE = 64 * 1024;
+
+/**
+ * Get a request body as a Buffer.
+ */
+const toBuffer = body => {
+  const bytes = toBytes(body);
+  return Buffer.isBuffer(bytes)
+    ? bytes
+    : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+};
+
+/**
+ * Transport sending requests with the `http` and `https` modules of
+ * Node.js. The progress of request bodies is reported as they are handed
+ * to the operating system.
+ */
+class NodeTransport {
+  /**
+   * Create a NodeTransport instance.
+   *
+   * @constructs NodeTransport
+   *
+   * @param {object} options - Extra options of every request, like an
+   * `agent` keeping connections alive.
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  request({ method, url, headers, body, signal, onUploadProgress }) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new AbortError('Request aborted'));
+      }
+
+      const client = /^https:/i.test(url) ? https : http;
+      const request = client.request(url, Object.assign({}, this.options, {
+        method: method.toUpperCase(),
+        headers
+      }), response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('error', reject);
+        response.on('end', () => {
+          resolve(createResponse(response.statusCode, name => {
+            return response.headers[name.toLowerCase()];
+          }, Buffer.concat(chunks).toString('utf8')));
+        });
+      });
+      request.on('error', reject);
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          request.abort();
+          reject(new AbortError('Request aborted'));
+        });
+      }
+
+      const data = body === undefined || body === null
+        ? Buffer.alloc(0)
+        : toBuffer(body);
+      const write = offset => {
+        if (offset >= data.length) {
+          return request.end();
+        }
+        const end = Math.min(data.length, offset + WRITE_SIZE);
+        request.write(data.slice(offset, end), () => {
+          if (onUploadProgress) {
+            onUploadProgress(end);
+          }
+          write(end);
+        });
+      };
+      write(0);
+    });
+  }
+}
+
+module.exports = NodeTransport;
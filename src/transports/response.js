@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * Create a fetch-like Response object, the one transports resolve with.
+ *
+ * @param {number} status - HTTP status code.
+ * @param {function} getHeader - Function receiving a header name and
+ * returning its value, or null if the response has no such header.
+ * @param {string} body - Response body.
+ */
+const createResponse = (status, getHeader, body = '') => {
+  const text = () => Promise.resolve(body);
+  return {
+    status,
+    headers: {
+      get: name => {
+        const value = getHeader(name);
+        return value === undefined ? null : value;
+      }
+    },
+    text,
+    json: () => text().then(JSON.parse)
+  };
+};
+
+module.exports = { createResponse };
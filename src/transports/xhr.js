@@ -0,0 +1,48 @@
+'use strict';
+
+import { NetworkError, AbortError } from '../errors.js';
+import { createResponse } from './response.js';
+
+/**
+ * Transport sending requests with XMLHttpRequest, which unlike fetch
+ * reports the progress of the request body being sent.
+ */
+class XhrTransport {
+  request({ method, url, headers = {}, body, signal, onUploadProgress }) {
+    return new Promise((resolve, reject) => {
+      // Like fetch, which rejects without sending anything.
+      if (signal && signal.aborted) {
+        return reject(new AbortError('Request aborted'));
+      }
+
+      const xhr = new XMLHttpRequest();
+      xhr.open(method.toUpperCase(), url);
+
+      Object.keys(headers).forEach(name => {
+        // Browsers refuse to set Content-Length, they compute it themselves.
+        if (name !== 'Content-Length') {
+          xhr.setRequestHeader(name, headers[name]);
+        }
+      });
+
+      if (signal) {
+        signal.addEventListener('abort', () => xhr.abort());
+      }
+
+      if (onUploadProgress) {
+        xhr.upload.onprogress = event => onUploadProgress(event.loaded);
+      }
+      xhr.onerror = () => reject(new NetworkError('Network request failed'));
+      xhr.onabort = () => reject(new AbortError('Request aborted'));
+      xhr.onload = () => {
+        resolve(createResponse(xhr.status, name => {
+          return xhr.getResponseHeader(name);
+        }, xhr.responseText));
+      };
+
+      xhr.send(body);
+    });
+  }
+}
+
+module.exports = XhrTransport;
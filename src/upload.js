@@ -0,0 +1,2042 @@
+/**
+ * Resumable uploads to GCS. The Upload class keeps the state of a single
+ * file upload, which `run` and `resumeOrRun` drive chunk by chunk.
+ */
+
+'use strict';
+
+import Steamer from './steamer.js';
+import { getFingerprint, fingerprintKey } from './fingerprint.js';
+import { createDefaultStore, isExpired } from './session-store.js';
+import { RetryPolicy, parseRetryAfter } from './retry.js';
+import {
+  HttpError,
+  SessionExpiredError,
+  NetworkError,
+  SessionError,
+  RetryLimitError,
+  AbortError,
+  IntegrityError,
+  StateError
+} from './errors.js';
+import ProgressTracker from './progress.js';
+import Hasher from './hasher.js';
+import Throttle from './throttle.js';
+import {
+  ChunkSizer,
+  validateChunkSize,
+  CHUNK_SIZE_MULTIPLE
+} from './chunk-sizer.js';
+import { createSource } from './sources/index.js';
+import StreamSource from './sources/stream.js';
+import { applyTransforms, encrypt } from './transforms/index.js';
+import { getEncryptionHeaders } from './encryption.js';
+import { startComposite } from './composite.js';
+import {
+  startInWorker,
+  attachUpload,
+  listUploads,
+  syncState
+} from './worker/host.js';
+import { describeObject, objectBody } from './object.js';
+import { defaultTransport, getTransport } from './transports/index.js';
+import {
+  validateFile,
+  validateContent,
+  checkStreamedSize
+} from './validation.js';
+import {
+  getDefaultMonitor,
+  isAllowed,
+  validatePolicy,
+  NETWORK_POLICIES
+} from './network.js';
+import {
+  IDLE,
+  INITIATING,
+  UPLOADING,
+  PAUSED,
+  WAITING,
+  FINALIZING,
+  DONE,
+  CANCELLED,
+  FAILED,
+  canTransition,
+  isFinished
+} from './states.js';
+
+const RESUME_OFFSET = '*';
+
+/**
+ * Maximum size of the requests of rate-limited uploads, the smallest chunk
+ * GCS accepts, so the data is sent evenly instead of in bursts of a whole
+ * chunk.
+ */
+const THROTTLED_REQUEST_SIZE = CHUNK_SIZE_MULTIPLE;
+
+const clearEventQueue = (eventQueue, event) => {
+  while (eventQueue.length) {
+    event(eventQueue.shift());
+  }
+};
+
+/**
+ * Events that can only happen once per state change. Only the last one is
+ * queued until its callback is set.
+ */
+const SINGLE_EVENTS = ['done', 'cancel', 'pause', 'waitingfornetwork'];
+
+/**
+ * What to do when GCS does not know about the session of an upload
+ * anymore: get a new session and upload everything again, or fail.
+ */
+const SESSION_EXPIRY_POLICIES = ['restart', 'fail'];
+
+/**
+ * Statuses GCS answers for unknown upload sessions.
+ */
+const EXPIRED_STATUSES = [404, 410];
+
+/**
+ * Async iterator of the progress events of an upload. It finishes when the
+ * upload is done and throws if the upload fails or is cancelled.
+ */
+const createProgressIterator = upload => {
+  const buffer = [];
+  const waiting = [];
+  let end = null;
+
+  const deliver = () => {
+    while (waiting.length && (buffer.length || end)) {
+      const { resolve, reject } = waiting.shift();
+      if (buffer.length) {
+        resolve({ value: buffer.shift(), done: false });
+      } else if (end.error) {
+        reject(end.error);
+        // The error is only thrown once, further calls just finish.
+        end.error = null;
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  };
+
+  const onprogress = progress => {
+    buffer.push(progress);
+    deliver();
+  };
+
+  const finish = error => {
+    if (end) {
+      return;
+    }
+    end = { error };
+    upload.removeEventListener('progress', onprogress);
+    deliver();
+  };
+
+  upload.addEventListener('progress', onprogress);
+  upload.promise.then(() => finish(null), error => finish(error));
+
+  const iterator = {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        deliver();
+      });
+    },
+    return() {
+      buffer.length = 0;
+      finish(null);
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = () => iterator;
+  }
+
+  return iterator;
+};
+
+/**
+ * Helper class to keep state information about a file upload.
+ *
+ * Every state update causes the trigger of an event related to the
+ * state change. For example, updating `upload.progress` triggers
+ * the `onprogress` callback and the `progress` event listeners. Moving the
+ * upload to another state (see `currentState`) triggers the `statechange`
+ * event with the `previous` and `next` states.
+ */
+function Upload(size, contentType, steamer) {
+  // We need to queue events triggered before the callbacks are set.
+  // Once a callback is set, we check the corresponding event queue
+  // and fire its events. Events are not queued if there are listeners
+  // added with addEventListener.
+  this.eventQueue = {
+    onprogress: [],
+    onerror: [],
+    ondone: [],
+    oncancel: [],
+    onpause: [],
+    onwaitingfornetwork: [],
+    onretry: [],
+    onsessionrestart: [],
+    onstatechange: []
+  };
+
+  this.listeners = {
+    progress: [],
+    error: [],
+    done: [],
+    cancel: [],
+    pause: [],
+    waitingfornetwork: [],
+    retry: [],
+    sessionrestart: [],
+    statechange: []
+  };
+
+  // Created on demand by the `promise` getter.
+  this._promise = null;
+
+  // The size is null while unknown, i.e. when uploading a stream, until
+  // all the data is read.
+  this.size = size;
+  this.contentType = contentType;
+  this.steamer = steamer;
+  this.sessionUri = null;
+
+  // Function getting session URIs, see createSessionProvider, and whether
+  // an expired session is replaced by a new one, restarting the upload.
+  this.sessionProvider = null;
+  this.restartExpiredSession = false;
+
+  // Description of the data being uploaded (`name`, `size`, `type`...)
+  // given to the session provider: the File itself in browsers.
+  this.file = null;
+
+  // Reads the data before transforms, if any, to guess its type and to
+  // validate it. Otherwise, it is the Steamer itself.
+  this.input = steamer;
+
+  // Name and options of the object being created. See object.js.
+  this.object = null;
+
+  // Validation options, if any. See validation.js.
+  this.validation = null;
+
+  // Headers sent with every request to the session URI, like the ones of
+  // customer-supplied encryption keys.
+  this.headers = {};
+
+  // Session persistence. Only set if a session store is used.
+  this.store = null;
+  this.fingerprint = null;
+  this.sessionKey = null;
+  this.sessionCreatedAt = null;
+
+  // Retries of failed chunks.
+  this.retryPolicy = new RetryPolicy();
+  this.attempts = 0;
+  this.retryTimer = null;
+
+  // Sessions restarted because they expired. Unlike attempts, it is not
+  // reset when a chunk is confirmed.
+  this.sessionRestarts = 0;
+
+  // Last offset confirmed by GCS.
+  this.offset = 0;
+
+  // Metadata of the uploaded object, once done. It includes `bucket`,
+  // `name`, `generation`, `size`, `md5Hash`, `crc32c` and `mediaLink`.
+  this.result = null;
+
+  // Progress reporting. In fine-grained mode, progress is also reported
+  // while chunks are being sent, instead of only when GCS confirms them.
+  this.tracker = new ProgressTracker(size);
+  this.fineProgress = false;
+
+  // Whether to send the `x-goog-hash` header with the last chunk.
+  this.sendHash = false;
+
+  // Cancellation of the request in flight and of the GCS session.
+  this.controller = null;
+  this.deleteSessionOnCancel = true;
+
+  // Sends the requests to GCS, through the interceptors. See
+  // transports/index.js and interceptors.js.
+  this.transport = defaultTransport;
+
+  // Adapts the Steamer chunk size to the network conditions, if enabled.
+  this.chunkSizer = null;
+
+  // Uploads of the parts of a parallel composite upload. Such uploads have
+  // no Steamer nor session of their own.
+  this.parts = null;
+
+  // Connectivity monitor (see network.js) and policy deciding when the
+  // upload waits for the network, and the function continuing the upload
+  // once it is back.
+  this.network = null;
+  this.networkPolicy = undefined;
+  this.unsubscribeNetwork = null;
+  this.restart = null;
+
+  // Incremented to stop the chain of requests driving the upload, i.e.
+  // when waiting for the network.
+  this.chain = 0;
+
+  // Worker running the upload, if this is just its proxy. See
+  // worker/host.js.
+  this.remote = null;
+
+  // Function sending the data from an offset in a single request, instead
+  // of chunk by chunk, i.e. with a Background Fetch. See worker/server.js.
+  this.sendRemaining = null;
+
+  // Bandwidth limits. Every chunk waits for all the throttles: the one of
+  // the upload and the ones shared with other uploads, if any.
+  this.rateLimit = new Throttle();
+  this.throttles = [this.rateLimit];
+
+  const self = this;
+  this.state = {
+    _current: IDLE,
+    _progress: 0,
+    _error: null,
+    // Connectivity status while waiting for the network. It is kept while
+    // paused, so the upload keeps waiting once resumed.
+    _waiting: null,
+    set current(next) {
+      const previous = this._current;
+      if (!canTransition(previous, next)) {
+        throw new StateError(
+          `Invalid upload state transition from ${previous} to ${next}`, {
+            state: previous,
+            target: next
+          });
+      }
+
+      this._current = next;
+      self.dispatch('statechange', { previous, next });
+    },
+    set progress(sent) {
+      if (sent === RESUME_OFFSET || sent === self.tracker.sent) {
+        return;
+      }
+
+      const progress = self.tracker.update(sent);
+      this._progress = progress;
+      self.dispatch('progress', progress);
+    },
+    set error(error) {
+      this._error = error;
+      self.dispatch('error', error);
+    },
+    set failed(error) {
+      this.error = error;
+      self.settle();
+    },
+    set done(done) {
+      if (!done) {
+        return;
+      }
+
+      self.dispatch('done', self.result);
+      self.settle();
+    },
+    set cancel(cancel) {
+      if (!cancel) {
+        return;
+      }
+
+      self.dispatch('cancel');
+      self.settle();
+    },
+    set pause(pause) {
+      if (pause) {
+        self.dispatch('pause');
+      }
+    },
+    set waiting(status) {
+      this._waiting = status;
+
+      if (status) {
+        self.dispatch('waitingfornetwork', status);
+      }
+    }
+  };
+}
+
+Upload.prototype = (function() {
+  return {
+    /**
+     * Create a Upload instance.
+     *
+     * @constructs Upload
+     *
+     * @param {number} size - Upload size, or null if unknown.
+     * @param {string} contentType - Content Type of the file being uploaded.
+     */
+    constructor: Upload,
+
+    /**
+     * Upload progress setter. Triggers the .onprogress callback with a
+     * progress object (see progress.js).
+     *
+     * @param {number} sent - Number of bytes sent.
+     */
+    set progress(sent) {
+      this.state.progress = sent;
+    },
+
+    /**
+     * Sets the upload size once it is known.
+     *
+     * @param {number} size - Upload size.
+     */
+    setSize(size) {
+      this.size = size;
+      this.tracker.total = size;
+    },
+
+    /**
+     * Changes the maximum upload rate, even while uploading.
+     *
+     * @param {number} bytesPerSecond - Maximum rate, or null for no limit.
+     */
+    setRateLimit(bytesPerSecond) {
+      if (this.remote) {
+        return this.remote.send('setRateLimit', [bytesPerSecond]);
+      }
+      this.rateLimit.setRate(bytesPerSecond);
+    },
+
+    /**
+     * Waits until the throttles let some data be sent.
+     *
+     * @param {number} bytes - Size of the data.
+     *
+     * @return Promise that resolves once the data can be sent, or rejects
+     * with an AbortError if the upload stops meanwhile.
+     */
+    throttle(bytes) {
+      return Promise.all(this.throttles.map(throttle => {
+        return throttle.take(bytes, this);
+      }));
+    },
+
+    /**
+     * Whether any throttle limits the rate of the upload.
+     */
+    isThrottled() {
+      return this.throttles.some(throttle => throttle.rate !== null);
+    },
+
+    /**
+     * Stops waiting for the throttles, so the data of a stopped upload
+     * doesn't hold back the uploads sharing them.
+     */
+    dropThrottled() {
+      this.throttles.forEach(throttle => throttle.drop(this));
+    },
+
+    /**
+     * Upload error setter. Triggers the .onerror callback.
+     *
+     * @param {any} error - Error details.
+     */
+    set error(error) {
+      this.state.error = error;
+    },
+
+    /**
+     * Cancel an ongoing upload. The request in flight and the file read are
+     * aborted and, unless disabled, the resumable session is deleted from
+     * GCS. Triggers the .oncancel callback once all this is done.
+     *
+     * @return Promise that resolves once the upload is cancelled.
+     */
+    cancel() {
+      try {
+        this.assertTransition(CANCELLED, 'cancel');
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      if (this.remote) {
+        const settled = () => {};
+        return this.remote.send('cancel')
+          .then(() => this.promise.then(settled, settled));
+      }
+
+      // Move the upload to the CANCELLED state right away, so no more
+      // chunks are sent, but only trigger .oncancel once everything is
+      // cleaned up.
+      this.state.current = CANCELLED;
+      this.clearRetry();
+      this.abortRequest();
+      this.dropThrottled();
+      if (this.steamer && this.steamer.abort) {
+        this.steamer.abort();
+      }
+      this.close();
+
+      const parts = (this.parts || []).filter(part => {
+        return canTransition(part.currentState, CANCELLED);
+      }).map(part => part.cancel());
+
+      return Promise.all([
+        this.forgetSession(),
+        this.deleteSessionOnCancel
+          ? deleteSession(this.sessionUri, this.transport)
+          : null
+      ].concat(parts)).then(() => {
+        this.state.cancel = true;
+      });
+    },
+
+    /**
+     * Get the signal of a new AbortController for the next request, so it
+     * can be aborted if the upload is cancelled.
+     *
+     * @return AbortSignal, or undefined if AbortController is not supported.
+     */
+    createSignal() {
+      if (typeof AbortController === 'undefined') {
+        return;
+      }
+      this.controller = new AbortController();
+      return this.controller.signal;
+    },
+
+    /**
+     * Aborts the request in flight, if any.
+     */
+    abortRequest() {
+      if (this.controller) {
+        this.controller.abort();
+        this.controller = null;
+      }
+    },
+
+    /**
+     * Throws a StateError if the upload can't move to a state.
+     *
+     * @param {string} next - State to move to.
+     * @param {string} action - What moving to it means, for the message.
+     */
+    assertTransition(next, action) {
+      const state = this.currentState;
+      if (!canTransition(state, next)) {
+        throw new StateError(`Cannot ${action} an upload that is ${state}`, {
+          state,
+          target: next
+        });
+      }
+    },
+
+    /**
+     * Sets the upload as failed, which is a terminal state. Triggers the
+     * .onerror callback with the final cause. Failures of finished uploads,
+     * i.e. cancelled while requesting their session, are ignored.
+     *
+     * @param {any} error - Error details.
+     */
+    fail(error) {
+      if (isFinished(this.currentState)) {
+        return;
+      }
+      if (error instanceof Error && error.offset === undefined) {
+        error.offset = this.offset;
+      }
+      this.clearRetry();
+      this.close();
+      this.state.current = FAILED;
+      this.state.failed = error;
+    },
+
+    /**
+     * Schedules a new attempt to upload after a failed one, following the
+     * retry policy.
+     *
+     * @param {function} retry - Function performing the new attempt.
+     * @param {number} delay - Milliseconds to wait.
+     */
+    scheduleRetry(retry, delay) {
+      this.clearRetry();
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        retry();
+      }, delay);
+    },
+
+    /**
+     * Cancels a scheduled retry, if any.
+     */
+    clearRetry() {
+      if (this.retryTimer) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+      }
+    },
+
+    /**
+     * Sets the upload as done, going through the FINALIZING state if it is
+     * not there yet. Triggers the .ondone callback with the metadata of the
+     * uploaded object.
+     *
+     * @param {object} result - Object metadata returned by GCS.
+     */
+    done(result = null) {
+      if (this.currentState !== FINALIZING) {
+        this.state.current = FINALIZING;
+      }
+      this.result = result;
+      this.close();
+      this.forgetSession();
+      this.state.current = DONE;
+      this.state.done = true;
+    },
+
+    /**
+     * Releases the resources kept for the upload, like the hashing worker,
+     * once it is finished.
+     */
+    close() {
+      if (this.steamer && this.steamer.hasher) {
+        this.steamer.hasher.terminate();
+      }
+      if (this.steamer && this.steamer.close) {
+        this.steamer.close();
+      }
+      if (this.input !== this.steamer && this.input.close) {
+        this.input.close();
+      }
+      if (this.unsubscribeNetwork) {
+        this.unsubscribeNetwork();
+        this.unsubscribeNetwork = null;
+      }
+    },
+
+    /**
+     * Persists the session URI and the last offset confirmed by GCS, so
+     * the upload can be resumed after a page reload.
+     *
+     * @param {number} offset - Last offset confirmed by GCS.
+     */
+    saveSession(offset) {
+      if (!this.store) {
+        return Promise.resolve();
+      }
+
+      return this.store.set(this.sessionKey, {
+        sessionUri: this.sessionUri,
+        fingerprint: this.fingerprint,
+        offset,
+        createdAt: this.sessionCreatedAt
+      }).catch(() => {
+        // Failing to persist the session must not break the upload.
+      });
+    },
+
+    /**
+     * Removes the persisted session, if any.
+     */
+    forgetSession() {
+      if (!this.store) {
+        return Promise.resolve();
+      }
+
+      return this.store.remove(this.sessionKey).catch(() => {});
+    },
+
+    /**
+     * Pauses the upload. Triggers the .onpause callback. Only initiating,
+     * uploading or waiting uploads can be paused.
+     */
+    pause() {
+      this.assertTransition(PAUSED, 'pause');
+
+      if (this.remote) {
+        return this.remote.send('pause');
+      }
+
+      this.clearRetry();
+      this.dropThrottled();
+      // The response of the request in flight, if any, is ignored.
+      this.chain++;
+      (this.parts || []).forEach(part => {
+        if (canTransition(part.currentState, PAUSED)) {
+          part.pause();
+        }
+      });
+      this.state.current = PAUSED;
+      this.state.pause = true;
+    },
+
+    /**
+     * Resumes a paused upload. If it was waiting for the network when it
+     * was paused, it keeps waiting. If it was paused before getting its
+     * session, it keeps initiating.
+     */
+    resume() {
+      if (this.currentState !== PAUSED) {
+        throw new StateError(
+          `Cannot resume an upload that is ${this.currentState}`, {
+            state: this.currentState
+          });
+      }
+
+      if (this.remote) {
+        return this.remote.send('resume');
+      }
+
+      this.tracker.reset();
+
+      if (this.state._waiting) {
+        this.state.current = WAITING;
+        return;
+      }
+
+      if (this.parts) {
+        this.state.current = UPLOADING;
+        this.parts.forEach(part => {
+          if (part.currentState === PAUSED) {
+            part.resume();
+          }
+        });
+        return;
+      }
+
+      if (!this.sessionUri) {
+        // The session request goes on, see startSession.
+        this.state.current = INITIATING;
+        return;
+      }
+
+      this.state.current = UPLOADING;
+      doUpload(this, RESUME_OFFSET);
+    },
+
+    /**
+     * Watches the connectivity, so the upload waits for the network when
+     * there is no connection allowed by the policy, and continues once
+     * there is.
+     *
+     * @param {object} monitor - Connectivity monitor. See network.js.
+     * @param {string} policy - Network policy. See network.js.
+     */
+    watchNetwork(monitor, policy) {
+      this.network = monitor;
+      this.networkPolicy = policy;
+      this.unsubscribeNetwork = monitor.subscribe(status => {
+        if (isAllowed(status, policy)) {
+          this.networkRestored();
+        } else if (this.currentState === UPLOADING && this.sessionUri) {
+          // Requests would fail anyway, stop and ask GCS what it got once
+          // the network is back.
+          this.waitForNetwork(() => doUpload(this, RESUME_OFFSET));
+        }
+      });
+    },
+
+    /**
+     * Moves the upload to the WAITING state if there is no connection
+     * allowed by the network policy, unless it is paused, in which case it
+     * only waits once resumed. Triggers the .onwaitingfornetwork callback
+     * with the connectivity status.
+     *
+     * @param {function} restart - Function continuing the upload once the
+     * network is back.
+     *
+     * @return Whether the upload is waiting for the network.
+     */
+    waitForNetwork(restart) {
+      if (!this.network) {
+        return false;
+      }
+
+      const status = this.network.status();
+      if (isAllowed(status, this.networkPolicy)) {
+        return false;
+      }
+
+      this.clearRetry();
+      this.abortRequest();
+      this.dropThrottled();
+      this.chain++;
+      this.restart = restart;
+      if (this.currentState !== PAUSED) {
+        this.state.current = WAITING;
+      }
+      this.state.waiting = status;
+      return true;
+    },
+
+    /**
+     * Continues an upload waiting for the network. If it was paused
+     * meanwhile, it continues once it is resumed.
+     */
+    networkRestored() {
+      if (!this.state._waiting) {
+        return;
+      }
+
+      const restart = this.restart;
+      this.state.waiting = null;
+      this.restart = null;
+      if (this.currentState === WAITING) {
+        this.tracker.reset();
+        this.attempts = 0;
+        this.state.current = this.sessionUri ? UPLOADING : INITIATING;
+        restart();
+      } else if (this.currentState === PAUSED && !this.sessionUri) {
+        // Still waiting to request the session, which is not something
+        // `resume` knows how to do.
+        restart();
+      }
+    },
+
+    /**
+     * Current state getter. An upload moves through these states (see
+     * states.js), firing a `statechange` event every time:
+     *
+     * IDLE -> INITIATING -> UPLOADING <-> PAUSED -> FINALIZING -> DONE
+     *
+     * It can move to WAITING, for the network, while initiating or
+     * uploading, and to CANCELLED or FAILED from any state that is not
+     * finished.
+     */
+    get currentState() {
+      return this.state._current;
+    },
+
+    /**
+     * Promise that resolves with the metadata of the uploaded object when
+     * the upload is done, and rejects with the final error if the upload
+     * fails or with an AbortError if it is cancelled.
+     */
+    get promise() {
+      if (!this._promise) {
+        this._promise = new Promise((resolve, reject) => {
+          this._resolve = resolve;
+          this._reject = reject;
+        });
+        this.settle();
+      }
+      return this._promise;
+    },
+
+    /**
+     * Settles the upload promise, if any, once the upload is finished.
+     */
+    settle() {
+      if (!this._promise) {
+        return;
+      }
+
+      switch (this.currentState) {
+        case DONE:
+          this._resolve(this.result);
+          break;
+        case FAILED:
+          this._reject(this.state._error);
+          break;
+        case CANCELLED:
+          this._reject(new AbortError('Upload cancelled', {
+            offset: this.offset
+          }));
+          break;
+      }
+    },
+
+    /**
+     * Async iterator of progress objects. It finishes when the upload is
+     * done and throws if the upload fails or is cancelled.
+     *
+     * ```javascript
+     * for await (const progress of upload.progressEvents()) {...}
+     * ```
+     */
+    progressEvents() {
+      return createProgressIterator(this);
+    },
+
+    /**
+     * Adds a listener for an upload event: `progress`, `error`, `done`,
+     * `cancel`, `pause`, `waitingfornetwork`, `retry`, `sessionrestart` or
+     * `statechange`. Listeners receive the same arguments as the
+     * corresponding on* callback.
+     *
+     * @param {string} type - Event type.
+     * @param {function} listener - Event listener.
+     */
+    addEventListener(type, listener) {
+      const listeners = this.listeners[type] || (this.listeners[type] = []);
+      if (listeners.indexOf(listener) === -1) {
+        listeners.push(listener);
+      }
+    },
+
+    /**
+     * Removes a listener added with addEventListener.
+     *
+     * @param {string} type - Event type.
+     * @param {function} listener - Event listener.
+     */
+    removeEventListener(type, listener) {
+      const listeners = this.listeners[type] || [];
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+
+    /**
+     * Triggers the on* callback and the listeners of an event. If there are
+     * none, the event is queued until the on* callback is set.
+     *
+     * @param {string} type - Event type.
+     * @param {any} detail - Event details.
+     */
+    dispatch(type, detail) {
+      const callback = this[`_on${type}`];
+      const listeners = (this.listeners[type] || []).slice();
+
+      if (!callback && !listeners.length) {
+        const eventQueue = this.eventQueue[`on${type}`];
+        if (SINGLE_EVENTS.indexOf(type) !== -1) {
+          eventQueue[0] = detail;
+        } else {
+          eventQueue.push(detail);
+        }
+        return;
+      }
+
+      if (callback) {
+        callback(detail);
+      }
+      listeners.forEach(listener => listener(detail));
+    },
+
+    /**
+     * onprogress callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set onprogress(cb) {
+      this._onprogress = cb;
+      clearEventQueue(this.eventQueue.onprogress, cb);
+    },
+
+    /**
+     * onerror callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set onerror(cb) {
+      this._onerror = cb;
+      clearEventQueue(this.eventQueue.onerror, cb);
+    },
+
+    /**
+     * ondone callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set ondone(cb) {
+      this._ondone = cb;
+      clearEventQueue(this.eventQueue.ondone, cb);
+    },
+
+    /**
+     * oncancel callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set oncancel(cb) {
+      this._oncancel = cb;
+      clearEventQueue(this.eventQueue.oncancel, cb);
+    },
+
+    /**
+     * onpause callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set onpause(cb) {
+      this._onpause = cb;
+      clearEventQueue(this.eventQueue.onpause, cb);
+    },
+
+    /**
+     * onwaitingfornetwork callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set onwaitingfornetwork(cb) {
+      this._onwaitingfornetwork = cb;
+      clearEventQueue(this.eventQueue.onwaitingfornetwork, cb);
+    },
+
+    /**
+     * onretry callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set onretry(cb) {
+      this._onretry = cb;
+      clearEventQueue(this.eventQueue.onretry, cb);
+    },
+
+    /**
+     * onsessionrestart callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set onsessionrestart(cb) {
+      this._onsessionrestart = cb;
+      clearEventQueue(this.eventQueue.onsessionrestart, cb);
+    },
+
+    /**
+     * onstatechange callback setter.
+     *
+     * @param {function} cb - callback.
+     */
+    set onstatechange(cb) {
+      this._onstatechange = cb;
+      clearEventQueue(this.eventQueue.onstatechange, cb);
+    }
+  };
+})();
+
+const DEFAULT_SESSION_ENDPOINT =
+  `https://dev-takeafile-com.appspot.com/_ah/api/gcsgatekeeper/v1/sessionuris`;
+
+/**
+ * Default options used to request a session URI to the GCS proxy server.
+ *
+ * - endpoint: URL of the server providing resumable upload session URIs.
+ * - headers: Extra headers sent with the session request, i.e. an
+ *   `Authorization` header.
+ * - buildBody: Function receiving the file being uploaded and the object
+ *   description (see object.js), and returning the JSON body (or a Promise
+ *   resolving to it) of the session request. By default, the object name
+ *   is sent as `bucketFile` along with the rest of the object options.
+ * - parseResponse: Function receiving the parsed JSON response of the
+ *   session request and returning the session URI.
+ */
+const DEFAULT_SESSION_OPTIONS = {
+  endpoint: DEFAULT_SESSION_ENDPOINT,
+  headers: {},
+  buildBody: (file, object) => objectBody(object),
+  parseResponse: ({ data }) => data
+};
+
+/**
+ * In order to be able to perform a resumable upload to GCS we need to
+ * obtain a session URI from GCS. This method requests the initialization
+ * of a resumable upload session to a server that proxies our requests
+ * to GCS.
+ *
+ * @param {File} file - File to be uploaded.
+ * @param {object} object - Description of the object to create.
+ * @param {object} options - Session request options. See
+ * DEFAULT_SESSION_OPTIONS.
+ * @param {object} transport - Transport sending the request.
+ *
+ * @return Promise that resolves with the session URI.
+ */
+const getSessionUri = (file, object, options, transport = defaultTransport) => {
+  const { endpoint, headers, buildBody, parseResponse } =
+    Object.assign({}, DEFAULT_SESSION_OPTIONS, options);
+
+  return Promise.resolve(buildBody(file, object)).then(body => {
+    return transport.request({
+      type: 'session',
+      method: 'post',
+      url: endpoint,
+      headers: Object.assign({
+        'Content-Type': 'application/json'
+      }, object && object.headers, headers),
+      body: JSON.stringify(body)
+    }).catch(error => {
+      throw new SessionError('Could not request a session URI', {
+        cause: new NetworkError(error.message, { cause: error })
+      });
+    });
+  }).then(response => {
+    if (response.status !== 201 && response.status !== 200) {
+      return response.text().catch(() => undefined).then(body => {
+        throw new SessionError(
+          `Session request failed with status ${response.status}`, {
+            status: response.status,
+            body
+          });
+      });
+    }
+    return response.json();
+  }).then(parseResponse).then(sessionUri => {
+    if (!sessionUri) {
+      throw new SessionError('The session response has no session URI');
+    }
+    return sessionUri;
+  });
+};
+
+/**
+ * Get the function used to obtain session URIs for an upload. Callers can
+ * provide their own `sessionProvider(file, object)` function returning a
+ * Promise that resolves with a session URI, so sessions can come from any
+ * backend. Otherwise, session URIs are requested with `getSessionUri` using
+ * the `session` options and the `transport`.
+ *
+ * @param {object} options - Upload options.
+ *
+ * @return Function receiving a file and the description of the object to
+ * create, and returning a Promise that resolves with a session URI.
+ */
+const createSessionProvider = options => {
+  const { sessionProvider, session } = options;
+
+  if (!sessionProvider) {
+    const transport = getTransport(options);
+    return (file, object) => getSessionUri(file, object, session, transport);
+  }
+
+  if (typeof sessionProvider !== 'function') {
+    throw new Error('sessionProvider must be a function');
+  }
+
+  return (file, object) => {
+    return Promise.resolve().then(() => sessionProvider(file, object))
+      .catch(error => {
+        if (error instanceof SessionError) {
+          throw error;
+        }
+        throw new SessionError('The session provider failed', {
+          cause: error
+        });
+      });
+  };
+};
+
+/**
+ * Upload a chunk of data to the session URI. Without data, the request
+ * queries the upload status or, if the range includes the total size of an
+ * upload of unknown size, finishes it.
+ *
+ * @param {object} extra - Optional:
+ * - headers: Extra request headers.
+ * - onUploadProgress: Callback receiving the number of bytes of the chunk
+ *   sent so far, if the transport reports it.
+ * - signal: AbortSignal to abort the request.
+ * - transport: Transport sending the request.
+ */
+const uploadChunk = (sessionUri, chunk, contentType, range, extra = {}) => {
+  const { onUploadProgress, signal, transport = defaultTransport } = extra;
+
+  let options = {
+    type: chunk ? 'chunk' : 'status',
+    method: 'put',
+    url: sessionUri,
+    signal,
+    onUploadProgress
+  };
+
+  let headers = Object.assign({
+    'Content-Range': range
+  }, extra.headers);
+
+  if (chunk && chunk.size) {
+    headers = Object.assign(headers, {
+      'Content-Length': chunk.size,
+      'Content-Type': contentType
+    });
+    options.body = chunk.data;
+  } else {
+    headers['Content-Length'] = 0;
+  }
+
+  options.headers = headers;
+
+  return transport.request(options).catch(error => {
+    if (error instanceof AbortError || error.name === 'AbortError' ||
+        error instanceof NetworkError) {
+      throw error;
+    }
+    // i.e. fetch rejects with a TypeError when the request gets no
+    // response.
+    throw new NetworkError(error.message, { cause: error });
+  }).then(response => {
+    if (response.status === 200 || response.status == 201) {
+      // Upload completed! GCS responds with the object metadata.
+      return response.json().catch(() => null).then(metadata => {
+        return { done: true, metadata };
+      });
+    }
+
+    if (response.status === 308) {
+      // Chunk uploaded, but there is still pending data to send.
+      const rangeHeader = response.headers.get('Range');
+      if (!rangeHeader) {
+        // GCS did not persist any byte yet.
+        return { offset: 0 };
+      }
+      const lastByteReceived = rangeHeader.split('-')[1];
+      if (!lastByteReceived) {
+        throw new HttpError(`Invalid Range header ${rangeHeader}`, {
+          status: response.status
+        });
+      }
+      // The next chunk starts right after the last byte received.
+      return { offset: parseInt(lastByteReceived, 10) + 1 };
+    }
+
+    // Something went wrong. Depending on the status, we may need to stop
+    // for a bit and try to resume our upload.
+    return response.text().catch(() => undefined).then(body => {
+      const { status } = response;
+      if (EXPIRED_STATUSES.indexOf(status) !== -1) {
+        throw new SessionExpiredError(`Upload session gone, status ${status}`,
+                                      { status, body });
+      }
+      throw new HttpError(`Unexpected response status ${status}`, {
+        status,
+        body,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    });
+  });
+};
+
+/**
+ * Cancel a resumable upload session, as documented by GCS, so it does not
+ * keep the uploaded data around. GCS answers with a 499 status.
+ *
+ * @return Promise that resolves once the request is done, even if it fails.
+ */
+const deleteSession = (sessionUri, transport = defaultTransport) => {
+  if (!sessionUri) {
+    return Promise.resolve();
+  }
+
+  return Promise.resolve().then(() => transport.request({
+    type: 'delete',
+    method: 'delete',
+    url: sessionUri,
+    headers: {
+      'Content-Length': 0
+    }
+  })).catch(() => {});
+};
+
+/**
+ * Total size in the Content-Range header, `*` while unknown.
+ */
+const rangeTotal = upload => upload.size === null ? '*' : upload.size;
+
+/**
+ * Query GCS for the number of bytes already persisted for the upload
+ * session.
+ */
+const queryStatus = upload => {
+  return uploadChunk(upload.sessionUri, null, upload.contentType,
+                     `bytes */${rangeTotal(upload)}`, {
+                       headers: upload.headers,
+                       signal: upload.createSignal(),
+                       transport: upload.transport
+                     });
+};
+
+/**
+ * Content-Range of a chunk. The last chunk of an upload of unknown size
+ * can be empty, if the data ends right at a chunk boundary; in that case
+ * the range only tells GCS the total size.
+ */
+const chunkRange = (upload, offset, chunk) => {
+  if (!chunk.size) {
+    return `bytes */${rangeTotal(upload)}`;
+  }
+  const last = offset + chunk.size - 1;
+  return `bytes ${offset}-${last}/${rangeTotal(upload)}`;
+};
+
+const doUpload = (upload, offset = 0) => {
+  if (upload.sendRemaining && offset !== RESUME_OFFSET) {
+    return upload.sendRemaining(offset);
+  }
+
+  let startTime;
+  // Requests of a chain stopped while they were in flight are ignored.
+  const chain = upload.chain;
+  const isStopped = () => {
+    return upload.currentState !== UPLOADING || upload.chain !== chain;
+  };
+
+  const maxSize = upload.isThrottled() ? THROTTLED_REQUEST_SIZE : undefined;
+  upload.steamer.next(offset, maxSize).then(chunk => {
+    if (isStopped()) {
+      return;
+    }
+
+    if (offset === RESUME_OFFSET) {
+      return queryStatus(upload);
+    }
+
+    if (upload.size === null) {
+      checkStreamedSize(upload.file, offset + chunk.size, chunk.last,
+                        upload.validation);
+      if (chunk.last) {
+        // We just read the end of the data.
+        upload.setSize(upload.steamer.size);
+      }
+    }
+
+    const range = chunkRange(upload, offset, chunk);
+    const onUploadProgress = upload.fineProgress ? loaded => {
+      if (upload.currentState === UPLOADING) {
+        upload.progress = offset + Math.min(loaded, chunk.size);
+      }
+    } : undefined;
+    return Promise.all([
+      getHashHeaders(upload, chunk.last),
+      upload.throttle(chunk.size)
+    ]).then(([hashHeaders]) => {
+      if (isStopped()) {
+        // Paused or cancelled while throttled.
+        return;
+      }
+
+      startTime = Date.now();
+      return uploadChunk(upload.sessionUri, chunk, upload.contentType, range, {
+        headers: Object.assign({}, upload.headers, hashHeaders),
+        onUploadProgress,
+        signal: upload.createSignal(),
+        transport: upload.transport
+      });
+    });
+  }).then(response => {
+    if (isStopped()) {
+      return;
+    }
+
+    if (response.done) {
+      if (upload.size === null) {
+        upload.setSize(upload.steamer.size);
+      }
+      upload.progress = upload.size;
+      upload.state.current = FINALIZING;
+      // Past this point, failures are not worth retrying.
+      return verifyIntegrity(upload, response.metadata).then(() => {
+        upload.done(response.metadata);
+      }, error => {
+        upload.fail(error);
+      });
+    }
+
+    if (response.offset !== undefined) {
+      if (offset !== RESUME_OFFSET) {
+        const duration = Date.now() - startTime;
+        adaptChunkSize(upload, response.offset - offset, duration);
+      }
+      // Only persisted data resets the attempts: status queries, sent
+      // before every retry, succeed even if every chunk fails.
+      if (offset !== RESUME_OFFSET && response.offset > upload.offset) {
+        upload.attempts = 0;
+      }
+      upload.offset = response.offset;
+      upload.saveSession(response.offset);
+      upload.progress = response.offset;
+      return doUpload(upload, response.offset);
+    }
+
+    throw new HttpError('Unexpected response');
+  }).catch(error => {
+    if (!isStopped()) {
+      handleFailure(upload, error);
+    }
+  });
+};
+
+/**
+ * Whether the hashes of the whole upload are available. They are not if
+ * hashing is disabled, or if GCS reports the upload as done before reading
+ * all the data, i.e. when resuming a persisted session.
+ */
+const isFullyHashed = upload => {
+  return !!upload.steamer.hasher && upload.steamer.hashedOffset === upload.size;
+};
+
+/**
+ * Get the `x-goog-hash` header to send with the last chunk, so GCS rejects
+ * the upload itself if the data it received does not match.
+ */
+const getHashHeaders = (upload, isLastChunk) => {
+  if (!upload.sendHash || !isLastChunk || !isFullyHashed(upload)) {
+    return Promise.resolve({});
+  }
+
+  return upload.steamer.digest().then(({ crc32c, md5 }) => {
+    return { 'x-goog-hash': `crc32c=${crc32c},md5=${md5}` };
+  });
+};
+
+/**
+ * Compare the hashes of the data we read with the ones GCS computed for the
+ * stored object.
+ *
+ * @return Promise that rejects with an IntegrityError if they don't match.
+ */
+const verifyIntegrity = (upload, metadata) => {
+  if (!metadata || !isFullyHashed(upload)) {
+    return Promise.resolve();
+  }
+
+  return upload.steamer.digest().then(({ crc32c, md5 }) => {
+    const crc32cMismatch = metadata.crc32c && metadata.crc32c !== crc32c;
+    const md5Mismatch = metadata.md5Hash && metadata.md5Hash !== md5;
+    if (crc32cMismatch || md5Mismatch) {
+      throw new IntegrityError('Uploaded data does not match the local file', {
+        expected: { crc32c, md5Hash: md5 },
+        actual: { crc32c: metadata.crc32c, md5Hash: metadata.md5Hash },
+        metadata
+      });
+    }
+  });
+};
+
+/**
+ * Feed the adaptive chunk sizing, if enabled, with a successfully uploaded
+ * chunk.
+ *
+ * @param {number} bytes - Number of bytes GCS confirmed.
+ * @param {number} duration - Milliseconds it took.
+ */
+const adaptChunkSize = (upload, bytes, duration) => {
+  if (upload.chunkSizer && bytes > 0) {
+    upload.steamer.chunkSize = upload.chunkSizer.recordSuccess(bytes, duration);
+  }
+};
+
+/**
+ * Decide what to do after a failed upload attempt. Retryable errors are
+ * reported through .onretry and the upload is resumed after waiting for
+ * the delay set by the retry policy. Non retryable errors, or exhausting
+ * the retry budget, move the upload to the FAILED state.
+ */
+const handleFailure = (upload, error) => {
+  if (upload.currentState !== UPLOADING) {
+    return;
+  }
+
+  const policy = upload.retryPolicy;
+  if (error instanceof Error) {
+    if (error.offset === undefined) {
+      error.offset = upload.offset;
+    }
+    error.retryable = policy.isRetryable(error);
+  }
+
+  if (error instanceof SessionExpiredError && canRestart(upload)) {
+    return restartSession(upload, error);
+  }
+
+  // Failures caused by losing the connection are not worth reporting, nor
+  // count as attempts.
+  const restart = () => doUpload(upload, RESUME_OFFSET);
+  if (upload.sessionUri && upload.waitForNetwork(restart)) {
+    return;
+  }
+
+  if (!policy.isRetryable(error)) {
+    return upload.fail(error);
+  }
+
+  if (upload.chunkSizer) {
+    upload.steamer.chunkSize = upload.chunkSizer.recordFailure();
+  }
+
+  upload.attempts++;
+  if (policy.isExhausted(upload.attempts)) {
+    return upload.fail(new RetryLimitError('Too many failed attempts', {
+      attempts: upload.attempts,
+      offset: upload.offset,
+      cause: error
+    }));
+  }
+
+  const delay = policy.delay(upload.attempts, error && error.retryAfter);
+  upload.dispatch('retry', { error, attempts: upload.attempts, delay });
+  upload.scheduleRetry(() => {
+    if (upload.currentState === UPLOADING) {
+      doUpload(upload, RESUME_OFFSET);
+    }
+  }, delay);
+};
+
+/**
+ * Whether an upload can start over with a new session: it has to be
+ * allowed to, and its data has to be readable again from the first byte,
+ * which is not the case of streams once their first chunk is discarded.
+ */
+const canRestart = upload => {
+  if (!upload.restartExpiredSession || !upload.sessionProvider) {
+    return false;
+  }
+  const { source } = upload.steamer;
+  return !(source instanceof StreamSource) || source.offset === 0;
+};
+
+/**
+ * Replace the expired session of an upload with a new one and upload the
+ * data again from the first byte. Triggers the .onsessionrestart callback
+ * with the `error` and the `offset` GCS had confirmed before. Restarts are
+ * counted apart from the attempts, which confirmed chunks reset, and are
+ * limited by the `maxAttempts` of the retry policy, so sessions that keep
+ * expiring, even after some progress, do not restart the upload forever.
+ */
+const restartSession = (upload, error) => {
+  upload.sessionRestarts++;
+  if (upload.retryPolicy.isExhausted(upload.sessionRestarts)) {
+    return upload.fail(new RetryLimitError('Too many session restarts', {
+      attempts: upload.sessionRestarts,
+      offset: upload.offset,
+      cause: error
+    }));
+  }
+
+  upload.dispatch('sessionrestart', { error, offset: upload.offset });
+  upload.state.current = INITIATING;
+  upload.sessionUri = null;
+  upload.offset = 0;
+  upload.progress = 0;
+  upload.tracker.reset();
+
+  return upload.forgetSession().then(() => {
+    return startSession(upload, upload.file, upload.sessionProvider);
+  }).catch(error => {
+    upload.fail(error);
+  });
+};
+
+/**
+ * Attach the session store to the upload, if any, and look for a persisted
+ * session for the file being uploaded.
+ *
+ * @return Promise that resolves with the persisted session record, or
+ * undefined if there is no store or no valid session for this file.
+ */
+const loadSession = (upload, file, options) => {
+  const { store, fingerprintHash } = options;
+  if (!store || upload.size === null) {
+    // Data of unknown size, like a stream, can't be read again later.
+    return Promise.resolve();
+  }
+
+  return getFingerprint(file, upload.steamer, fingerprintHash, upload.object)
+    .then(fingerprint => {
+      upload.store = store;
+      upload.fingerprint = fingerprint;
+      upload.sessionKey = fingerprintKey(fingerprint);
+      return store.get(upload.sessionKey);
+    }).then(record => {
+      if (!record || !record.sessionUri || isExpired(record)) {
+        return;
+      }
+      return record;
+    });
+};
+
+/**
+ * Wait for a connection allowed by the network policy, if there is none.
+ *
+ * @return Promise that resolves once there is one.
+ */
+const whenConnected = upload => {
+  return new Promise(resolve => {
+    if (!upload.waitForNetwork(resolve)) {
+      resolve();
+    }
+  });
+};
+
+/**
+ * Whether the session request failed because it got no response, i.e.
+ * because the connection was lost.
+ */
+const isNetworkFailure = error => {
+  return error instanceof NetworkError ||
+    !!error && error.cause instanceof NetworkError;
+};
+
+/**
+ * Get a new session URI and start uploading from the first byte. If the
+ * upload was paused meanwhile, it starts once resumed. If the session
+ * request fails because there is no connection allowed by the network
+ * policy anymore, the upload waits for one and requests the session again.
+ */
+const startSession = (upload, file, sessionProvider) => {
+  const restart = () => {
+    startSession(upload, file, sessionProvider).catch(error => {
+      upload.fail(error);
+    });
+  };
+
+  return sessionProvider(file, upload.object).then(sessionUri => {
+    upload.sessionUri = sessionUri;
+
+    if (upload.currentState === CANCELLED) {
+      // Cancelled while waiting for the session.
+      return upload.deleteSessionOnCancel &&
+        deleteSession(sessionUri, upload.transport);
+    }
+
+    upload.sessionCreatedAt = Date.now();
+    upload.saveSession(0);
+    if (upload.currentState === INITIATING) {
+      upload.state.current = UPLOADING;
+      doUpload(upload);
+    }
+  }, error => {
+    if (upload.currentState !== INITIATING || !isNetworkFailure(error) ||
+        !upload.waitForNetwork(restart)) {
+      throw error;
+    }
+  });
+};
+
+/**
+ * Continue uploading from the offset GCS confirms for a persisted session.
+ * If GCS does not know about the session anymore, a new one is started,
+ * whatever the `sessionExpired` option says: nothing was uploaded yet by
+ * this upload.
+ */
+const resumeSession = (upload, file, sessionProvider, record) => {
+  if (upload.currentState === CANCELLED) {
+    return upload.deleteSessionOnCancel &&
+      deleteSession(record.sessionUri, upload.transport);
+  }
+
+  upload.sessionUri = record.sessionUri;
+  upload.sessionCreatedAt = record.createdAt;
+
+  if (upload.currentState !== INITIATING) {
+    // Paused meanwhile. Resuming asks GCS for the offset.
+    return Promise.resolve();
+  }
+
+  upload.state.current = UPLOADING;
+  return queryStatus(upload).then(response => {
+    if (upload.currentState !== UPLOADING) {
+      return;
+    }
+
+    if (response.done) {
+      upload.progress = upload.size;
+      return upload.done(response.metadata);
+    }
+
+    upload.offset = response.offset;
+    upload.progress = response.offset;
+    doUpload(upload, response.offset);
+  }, error => {
+    if (upload.currentState !== UPLOADING) {
+      return;
+    }
+
+    if (error instanceof SessionExpiredError) {
+      // GCS does not know about this session anymore.
+      upload.state.current = INITIATING;
+      upload.sessionUri = null;
+      return upload.forgetSession().then(() => {
+        return startSession(upload, file, sessionProvider);
+      });
+    }
+    handleFailure(upload, error);
+  });
+};
+
+/**
+ * Create the Upload instance for a file.
+ */
+const createUpload = (file, options) => {
+  const { chunkSize, adaptiveChunkSize } = options;
+  if (chunkSize !== undefined) {
+    validateChunkSize(chunkSize);
+  }
+
+  const input = createSource(file, {
+    name: options.name,
+    type: options.contentType
+  });
+  const { encryption } = options;
+  const transforms = (options.transforms || []).concat(
+    encryption && encryption.clientSide ? encrypt(encryption.clientSide) : []);
+  const source = applyTransforms(input, transforms);
+  const steamer = new Steamer(source, chunkSize);
+  const upload = new Upload(source.size, source.type, steamer);
+  upload.file = input.file || input;
+  if (source !== input) {
+    upload.input = new Steamer(input, chunkSize);
+  }
+  upload.validation = options.validation || null;
+  validateFile(upload.file, upload.validation);
+
+  if (adaptiveChunkSize) {
+    upload.chunkSizer = new ChunkSizer(steamer.chunkSize,
+      adaptiveChunkSize === true ? {} : adaptiveChunkSize);
+    steamer.chunkSize = upload.chunkSizer.chunkSize;
+  }
+
+  upload.retryPolicy = new RetryPolicy(options.retry);
+  upload.transport = getTransport(options);
+  upload.sessionProvider = createSessionProvider(options);
+  const { sessionExpired = 'restart' } = options;
+  if (SESSION_EXPIRY_POLICIES.indexOf(sessionExpired) === -1) {
+    throw new Error(`Unknown sessionExpired option ${sessionExpired}`);
+  }
+  upload.restartExpiredSession = sessionExpired === 'restart';
+  upload.fineProgress = !!options.fineProgress;
+  upload.sendHash = !!options.sendHash;
+  upload.deleteSessionOnCancel = options.deleteSessionOnCancel !== false;
+  setThrottles(upload, options);
+  if (options.verifyIntegrity !== false) {
+    upload.steamer.hasher = new Hasher();
+  }
+
+  const { network = {} } = options;
+  const policy = network && network.policy || NETWORK_POLICIES.ANY;
+  validatePolicy(policy);
+  const monitor = network && (network.monitor || getDefaultMonitor());
+  if (monitor) {
+    upload.watchNetwork(monitor, policy);
+  }
+  return upload;
+};
+
+/**
+ * Set the bandwidth limit of the upload and the throttle it shares with
+ * other uploads, if any.
+ */
+const setThrottles = (upload, options) => {
+  if (options.maxBytesPerSecond !== undefined) {
+    upload.setRateLimit(options.maxBytesPerSecond);
+  }
+  if (options.throttle) {
+    upload.throttles.push(options.throttle);
+  }
+};
+
+/**
+ * Get everything needed before requesting a session: describe the object,
+ * validate the data and get the encryption headers.
+ *
+ * @param {Upload} upload - Upload instance.
+ * @param {object} reader - Object reading the data before transforms, like
+ * a Steamer.
+ * @param {object} options - Upload options.
+ *
+ * @return Promise that resolves with the object description.
+ */
+const prepareUpload = (upload, reader, options) => {
+  return describeObject(upload, reader, options).then(() => {
+    return validateContent(upload.file, upload.contentType, reader,
+                           upload.validation);
+  }).then(() => {
+    return getEncryptionHeaders(options.encryption);
+  }).then(headers => {
+    upload.headers = headers;
+    if (Object.keys(headers).length) {
+      // So session providers and compose requests can send them too.
+      upload.object.headers = headers;
+    }
+    return upload.object;
+  });
+};
+
+/**
+ * Create the Upload instance of a parallel composite upload, which uploads
+ * parts of the data in parallel and composes them into the final object.
+ */
+const createCompositeUpload = (file, options) => {
+  const { transforms, encryption } = options;
+  if (transforms && transforms.length || encryption && encryption.clientSide) {
+    throw new Error('Composite uploads do not support transforms');
+  }
+
+  const source = createSource(file, {
+    name: options.name,
+    type: options.contentType
+  });
+  const upload = new Upload(source.size, source.type, null);
+  upload.file = source.file || source;
+  upload.validation = options.validation || null;
+  validateFile(upload.file, upload.validation);
+  upload.state.current = INITIATING;
+  // Parts share the throttles of the composite upload.
+  setThrottles(upload, options);
+
+  // Reads the first chunk of the data, to guess its type and validate it.
+  const reader = new Steamer(source, options.chunkSize);
+  const object = prepareUpload(upload, reader, options);
+
+  // Parts only request their sessions once the data is validated.
+  const sessionProvider = createSessionProvider(options);
+  const partOptions = Object.assign({}, options, {
+    validation: null,
+    sessionProvider: (part, description) => {
+      return object.then(() => sessionProvider(part, description));
+    }
+  });
+
+  const session = Object.assign({}, DEFAULT_SESSION_OPTIONS, options.session);
+  startComposite(upload, source, partOptions, run, session, object);
+  return upload;
+};
+
+/**
+ * Create the proxy Upload instance of an upload running in a worker.
+ */
+const createWorkerUpload = (file, options, resume) => {
+  const size = typeof file.size === 'number' ? file.size : null;
+  const upload = new Upload(size, options.contentType || file.type || '',
+                            null);
+  upload.file = file;
+  upload.state.current = INITIATING;
+  startInWorker(upload, file, options, resume, createSessionProvider(options));
+  return upload;
+};
+
+/**
+ * Get proxies of the uploads running in a worker, like the ones a Service
+ * Worker kept running after a page reload.
+ *
+ * @param {any} worker - A dedicated Worker, or `navigator.serviceWorker` to
+ * use the active Service Worker.
+ * @param {object} options - `session` or `sessionProvider` options, used if
+ * the worker asks for a new session URI, and the `timeout` in milliseconds
+ * to wait for the worker to answer, 5 seconds by default. Without an
+ * answer, there are no uploads.
+ *
+ * @return Promise that resolves with an array of Upload instances.
+ */
+const listWorkerUploads = (worker, options = {}) => {
+  return listUploads(worker, options.timeout).then(({ uploads, channel }) => {
+    return uploads.map(({ id, snapshot }) => {
+      const upload = new Upload(snapshot.size, snapshot.contentType, null);
+      upload.file = {
+        name: snapshot.name,
+        size: snapshot.size,
+        type: snapshot.contentType
+      };
+      syncState(upload, snapshot);
+      attachUpload(upload, channel, id, createSessionProvider(options));
+      return upload;
+    });
+  });
+};
+
+/**
+ * Module entry point. It performs the core logic of the uploader. The basic
+ * algorithm is:
+ *
+ * 1. Request a session URL to the GCS proxy server.
+ * 2. Upload chunks of data to this session URL.
+ * 2.1. If one of these chunks of data fails to upload, retry following the
+ *      retry policy until it succeeds, the retry budget is exhausted or
+ *      upload.cancel() is called.
+ *
+ * @param {any} file - Data to be uploaded: a File, a Blob, a ReadableStream
+ * or an async iterable of Blobs in browsers, and a file path, a Buffer or a
+ * Readable stream in Node.js. See sources/index.js.
+ * @param {object} options - Upload options:
+ * - name: Name of the data, for inputs without one like Blobs, Buffers and
+ *   streams.
+ * - contentType: Content type of the data. Defaults to the type of Files
+ *   and Blobs or, if they have none, to the type guessed from the file
+ *   extension or the first bytes of the data.
+ * - contentEncoding: Content-Encoding of the object. Defaults to the one
+ *   set by the transforms, if any.
+ * - transforms: List of transforms applied to the data before uploading
+ *   it, like `gzip()` or `resizeImage({ maxWidth })`. See transforms/.
+ * - destination: Name of the uploaded object. If it ends with `/`, it is a
+ *   prefix for the file name. Defaults to the file name.
+ * - metadata: Custom metadata of the object.
+ * - cacheControl: Cache-Control of the object.
+ * - contentDisposition: Content-Disposition of the object.
+ * - ifGenerationMatch: Only create the object if the generation of the
+ *   existing one matches, 0 meaning that there is none.
+ *
+ * The object options are forwarded to the session server (see
+ * DEFAULT_SESSION_OPTIONS) or to the session provider.
+ * - session: Options for the default session request (`endpoint`,
+ *   `headers`, `buildBody` and `parseResponse`).
+ * - sessionProvider: Function receiving the file and returning a Promise
+ *   that resolves with a session URI. Takes precedence over `session`.
+ * - store: Session store (see session-store.js) where the session URI and
+ *   the last confirmed offset are persisted, so the upload can be resumed
+ *   later with `resumeOrRun`.
+ * - fingerprintHash: Whether the fingerprint identifying the file in the
+ *   session store includes a hash of its first chunk. Data without a
+ *   modification date, like Buffers, is always hashed.
+ * - retry: Retry policy options (`baseDelay`, `maxDelay`, `jitter`,
+ *   `maxAttempts` and `retryableStatuses`). See retry.js.
+ * - sessionExpired: What to do when GCS answers that the session expired
+ *   or is unknown (404 or 410): `restart` (default) gets a new session and
+ *   uploads the data again from the first byte, firing `sessionrestart`,
+ *   and `fail` fails with a SessionExpiredError. Streams can only restart
+ *   before their first chunk is confirmed.
+ * - fineProgress: Whether to report progress while chunks are being sent,
+ *   as the transport reports it (i.e. with XMLHttpRequest upload progress
+ *   events), instead of only when GCS confirms them.
+ * - verifyIntegrity: Whether to compare the CRC32C and MD5 hashes of the
+ *   data read with the ones of the stored object. Defaults to true.
+ * - sendHash: Whether to send the hashes with the last chunk in a
+ *   `x-goog-hash` header, so GCS rejects corrupted uploads itself.
+ * - deleteSessionOnCancel: Whether to delete the resumable session from GCS
+ *   when the upload is cancelled. Defaults to true.
+ * - transport: Transport sending the HTTP requests (see transports/), like
+ *   `new NodeTransport()` or, in tests, `new FakeGcsTransport()`. Defaults
+ *   to XMLHttpRequest for fine-grained progress, fetch, or the Node.js
+ *   `http(s)` modules, whichever is available.
+ * - interceptors: Interceptor, or list of interceptors, with
+ *   `beforeRequest`, `afterResponse` and `onError` functions seeing every
+ *   request of the upload, after the global ones added with
+ *   `addInterceptor`. See interceptors.js.
+ * - chunkSize: Size of the chunks, a multiple of 256 KiB. Defaults to 1MiB.
+ * - adaptiveChunkSize: `true` or an object with `min`, `max` and
+ *   `targetDuration` options (see chunk-sizer.js) to adapt the chunk size
+ *   to the measured throughput and failure rate.
+ * - validation: Checks run before requesting a session, failing the upload
+ *   with a ValidationError if the data does not pass them: `maxSize`,
+ *   `minSize`, `allowedTypes` (content types, like `image/*`),
+ *   `allowedExtensions` and `validator`, a function receiving the file and
+ *   its first chunk and returning (a Promise resolving to) false, or
+ *   throwing, to reject it. Checks not needing to read the data make `run`
+ *   throw right away.
+ * - encryption: Object with a base64 encoded AES-256 `key` (and optionally
+ *   its `keySha256`) to encrypt the object with a customer-supplied key,
+ *   sending the required headers with every request. Its `clientSide`
+ *   options (see transforms/encrypt.js) encrypt the data with AES-GCM
+ *   before uploading it.
+ * - maxBytesPerSecond: Maximum upload rate. It can be changed while
+ *   uploading with `upload.setRateLimit()`.
+ * - throttle: Throttle (see throttle.js) shared with other uploads, so
+ *   they all share the same bandwidth budget.
+ * - network: Object with the connectivity `monitor` (see network.js),
+ *   which defaults to one watching the browser connectivity, and the
+ *   network `policy`: `any` (default), `unmetered` or `wifi`. Without an
+ *   allowed connection, the upload waits for one in the WAITING state and
+ *   then continues from the offset confirmed by GCS. `false` disables it.
+ * - worker: Worker running the upload, a dedicated Worker or
+ *   `navigator.serviceWorker` to use the active Service Worker, serving
+ *   uploads with `serveUploads` (see worker/server.js). The upload returned
+ *   is a proxy of the one running in the worker, whose state is updated
+ *   asynchronously. The data and the options must be cloneable, except for
+ *   the session options, which are run in the page. Transforms, shared
+ *   throttles, transports and interceptors are not supported.
+ * - backgroundFetch: Whether the Service Worker sends the data with a
+ *   single Background Fetch, which outlives it, instead of chunk by chunk.
+ * - composite: `true` or an object with `parts`, `minPartSize`, `compose`
+ *   and the compose request options (see composite.js) to upload parts of
+ *   the data in parallel, each through its own session, and compose them
+ *   into the final object. Sessions are not persisted in this mode.
+ *
+ * @return Upload instance.
+ */
+const run = (file, options = {}) => {
+  if (!file) {
+    throw new Error('You need to provide a file to upload');
+  }
+
+  if (options.worker) {
+    return createWorkerUpload(file, options, false);
+  }
+
+  if (options.composite) {
+    return createCompositeUpload(file, options);
+  }
+
+  // Create a new upload instance.
+  const upload = createUpload(file, options);
+  upload.state.current = INITIATING;
+
+  // Get a session URI from Google Cloud Storage.
+  prepareUpload(upload, upload.input, options).then(() => {
+    return loadSession(upload, upload.file, options);
+  }).then(() => {
+    return whenConnected(upload);
+  }).then(() => {
+    return startSession(upload, upload.file, upload.sessionProvider);
+  }).catch(error => {
+    upload.fail(error);
+  });
+
+  return upload;
+};
+
+/**
+ * Resume a previous upload of the same file if its session was persisted
+ * and GCS still knows about it, or start a new upload otherwise.
+ *
+ * @param {any} file - Data to be uploaded. See `run`.
+ * @param {object} options - Same options as `run`. If no `store` is given,
+ * sessions are persisted in localStorage when available.
+ *
+ * @return Upload instance.
+ */
+const resumeOrRun = (file, options = {}) => {
+  if (!file) {
+    throw new Error('You need to provide a file to upload');
+  }
+
+  if (options.worker) {
+    // The worker picks its own default store.
+    return createWorkerUpload(file, options, true);
+  }
+
+  if (options.composite) {
+    return createCompositeUpload(file, options);
+  }
+
+  options = Object.assign({ store: createDefaultStore() }, options);
+
+  const upload = createUpload(file, options);
+  const { sessionProvider } = upload;
+  upload.state.current = INITIATING;
+
+  prepareUpload(upload, upload.input, options).then(() => {
+    return loadSession(upload, upload.file, options);
+  }).then(record => {
+    return whenConnected(upload).then(() => record);
+  }).then(record => {
+    if (!record) {
+      return startSession(upload, upload.file, sessionProvider);
+    }
+    return resumeSession(upload, upload.file, sessionProvider, record);
+  }).catch(error => {
+    upload.fail(error);
+  });
+
+  return upload;
+};
+
+module.exports = {
+  Upload,
+  run,
+  resumeOrRun,
+  listWorkerUploads,
+  IDLE,
+  INITIATING,
+  UPLOADING,
+  PAUSED,
+  WAITING,
+  FINALIZING,
+  DONE,
+  CANCELLED,
+  FAILED
+};
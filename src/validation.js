@@ -0,0 +1,187 @@
+'use strict';
+
+import { ValidationError } from './errors.js';
+
+/**
+ * Whether a content type is in a list of allowed types, which can use
+ * wildcards like `image/*`.
+ */
+const isAllowedType = (type, allowedTypes) => {
+  const [family] = type.split('/');
+  return allowedTypes.some(allowed => {
+    return allowed === type || allowed === `${family}/*`;
+  });
+};
+
+/**
+ * Whether the extension of a file name is in a list of allowed extensions,
+ * with or without the leading dot.
+ */
+const isAllowedExtension = (name, allowedExtensions) => {
+  const match = /\.([^./\\]+)$/.exec(name || '');
+  const extension = match ? match[1].toLowerCase() : '';
+  return allowedExtensions.some(allowed => {
+    return allowed.replace(/^\./, '').toLowerCase() === extension;
+  });
+};
+
+/**
+ * Check the size of the data.
+ *
+ * @param {object} file - Description of the data (`name`, `size`, `type`).
+ * @param {number} size - Size of the data, or null if unknown.
+ * @param {object} validation - Validation options. See `run`.
+ *
+ * @throws ValidationError if the size is not allowed.
+ */
+const checkSize = (file, size, validation) => {
+  const { maxSize, minSize } = validation;
+  if (size === null || size === undefined) {
+    return;
+  }
+
+  if (maxSize !== undefined && size > maxSize) {
+    throw new ValidationError(`File is bigger than ${maxSize} bytes`, {
+      reason: 'maxSize',
+      file
+    });
+  }
+
+  if (minSize !== undefined && size < minSize) {
+    throw new ValidationError(`File is smaller than ${minSize} bytes`, {
+      reason: 'minSize',
+      file
+    });
+  }
+};
+
+/**
+ * Check the content type of the data.
+ *
+ * @throws ValidationError if the type is not allowed.
+ */
+const checkType = (file, type, validation) => {
+  const { allowedTypes } = validation;
+  if (allowedTypes && !isAllowedType(type || '', allowedTypes)) {
+    throw new ValidationError(`File type ${type} is not allowed`, {
+      reason: 'type',
+      file
+    });
+  }
+};
+
+/**
+ * Check the file extension.
+ *
+ * @throws ValidationError if the extension is not allowed.
+ */
+const checkExtension = (file, validation) => {
+  const { allowedExtensions } = validation;
+  if (allowedExtensions && !isAllowedExtension(file.name, allowedExtensions)) {
+    throw new ValidationError(`File extension of ${file.name} is not allowed`, {
+      reason: 'extension',
+      file
+    });
+  }
+};
+
+/**
+ * Run the checks that only need the description of the data: its size, its
+ * extension and, if it has one, its type.
+ *
+ * @param {object} file - Description of the data (`name`, `size`, `type`).
+ * @param {object} validation - Validation options. See `run`.
+ *
+ * @throws ValidationError if the data is rejected.
+ */
+const validateFile = (file, validation) => {
+  if (!validation) {
+    return;
+  }
+
+  // Sizes unknown until all the data is read, like the size of a stream,
+  // are checked with `checkStreamedSize` instead.
+  checkSize(file, file.size, validation);
+  checkExtension(file, validation);
+  if (file.type) {
+    checkType(file, file.type, validation);
+  }
+};
+
+/**
+ * Run the checks that need to read the data: the type, if it had to be
+ * guessed, and the custom validator, which receives the description of the
+ * data and its first chunk.
+ *
+ * @param {object} file - Description of the data (`name`, `size`, `type`).
+ * @param {string} contentType - Content type of the upload.
+ * @param {object} reader - Object with a `read(start, end)` method and a
+ * `chunkSize`, like a Steamer, to read the first chunk of the data.
+ * @param {object} validation - Validation options. See `run`.
+ *
+ * @return Promise that rejects with a ValidationError if the data is
+ * rejected.
+ */
+const validateContent = (file, contentType, reader, validation) => {
+  if (!validation) {
+    return Promise.resolve();
+  }
+
+  return Promise.resolve().then(() => {
+    if (!file.type) {
+      checkType(file, contentType, validation);
+    }
+
+    if (!validation.validator) {
+      return;
+    }
+
+    return reader.read(0, reader.chunkSize).then(chunk => {
+      return validation.validator(file, chunk);
+    }).then(valid => {
+      if (valid === false) {
+        throw new ValidationError('File rejected by the validator', {
+          reason: 'validator',
+          file
+        });
+      }
+    }, error => {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new ValidationError(error && error.message || String(error), {
+        reason: 'validator',
+        file,
+        cause: error
+      });
+    });
+  });
+};
+
+/**
+ * Check the size of data whose size was unknown, like a stream, as it is
+ * read.
+ *
+ * @param {object} file - Description of the data.
+ * @param {number} read - Number of bytes read so far.
+ * @param {boolean} ended - Whether all the data was read.
+ * @param {object} validation - Validation options. See `run`.
+ *
+ * @throws ValidationError if the size is not allowed.
+ */
+const checkStreamedSize = (file, read, ended, validation) => {
+  if (!validation) {
+    return;
+  }
+  const { maxSize, minSize } = validation;
+  if (maxSize !== undefined && read > maxSize ||
+      minSize !== undefined && ended) {
+    checkSize(file, read, validation);
+  }
+};
+
+module.exports = {
+  validateFile,
+  validateContent,
+  checkStreamedSize
+};
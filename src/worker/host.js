@@ -0,0 +1,302 @@
+'use strict';
+
+import { CHANNEL, serializeError, deserializeError } from './messages.js';
+import { IndexedDBStore } from '../session-store.js';
+import { FAILED } from '../states.js';
+
+/**
+ * Upload options that can't be sent to a worker: postMessage can't clone
+ * functions, and silently turns class instances into plain objects.
+ */
+const UNSUPPORTED_OPTIONS = ['transforms', 'throttle', 'transport',
+                             'interceptors'];
+
+/**
+ * Milliseconds to wait for a worker to list its uploads. Workers that are
+ * not serving uploads, or Service Workers that never become active, don't
+ * answer.
+ */
+const LIST_TIMEOUT = 5000;
+
+/**
+ * Get the functions to send messages to the worker running uploads, and to
+ * listen to its messages.
+ *
+ * @param {any} worker - A dedicated Worker, or the ServiceWorkerContainer
+ * (`navigator.serviceWorker`) of the page, to use its active Service
+ * Worker.
+ */
+const connect = worker => {
+  const listen = listener => {
+    const onmessage = event => {
+      const message = event.data;
+      if (message && message.channel === CHANNEL) {
+        listener(message);
+      }
+    };
+    worker.addEventListener('message', onmessage);
+    return () => worker.removeEventListener('message', onmessage);
+  };
+
+  const target = worker.ready
+    ? worker.ready.then(registration => registration.active)
+    : Promise.resolve(worker);
+
+  const send = message => target.then(active => {
+    active.postMessage(Object.assign({ channel: CHANNEL }, message));
+  });
+
+  return { send, listen };
+};
+
+/**
+ * Get the options to send to the worker. Sessions provided by functions
+ * are requested to the page, and known session stores are described so the
+ * worker can create its own.
+ */
+const getWorkerOptions = options => {
+  UNSUPPORTED_OPTIONS.forEach(name => {
+    const value = options[name];
+    if (value && (!Array.isArray(value) || value.length)) {
+      throw new Error(`The ${name} option is not supported in workers`);
+    }
+  });
+
+  const { session = {}, store, network } = options;
+  const workerOptions = Object.assign({}, options, { worker: undefined });
+
+  if (options.sessionProvider || typeof session.buildBody === 'function' ||
+      typeof session.parseResponse === 'function') {
+    workerOptions.sessionProvider = 'page';
+    workerOptions.session = undefined;
+  }
+
+  if (store) {
+    if (!(store instanceof IndexedDBStore)) {
+      throw new Error('Only IndexedDBStore sessions can be persisted in ' +
+                      'workers');
+    }
+    workerOptions.store = {
+      indexedDB: { dbName: store.dbName, storeName: store.storeName }
+    };
+  }
+
+  if (network && network.monitor) {
+    // The worker watches its own connectivity.
+    workerOptions.network = Object.assign({}, network, { monitor: null });
+  }
+
+  return workerOptions;
+};
+
+/**
+ * Move the proxy upload to the state of the upload running in the worker.
+ * Unlike regular transitions, it is not validated: the worker did, and the
+ * proxy may skip some states, since it only learns about them with the
+ * events of the upload.
+ */
+const mirrorState = (upload, next) => {
+  const previous = upload.state._current;
+  if (next && next !== previous) {
+    upload.state._current = next;
+    upload.dispatch('statechange', { previous, next });
+  }
+};
+
+/**
+ * Bring the state of the proxy upload in line with the one of the upload
+ * running in the worker. Only `statechange` is fired, the rest of the
+ * events are fired by `applyEvent`.
+ */
+const syncState = (upload, snapshot) => {
+  // Snapshots sent after the upload is gone from the worker only have the
+  // state.
+  if (snapshot.size !== undefined && snapshot.size !== upload.size) {
+    upload.setSize(snapshot.size);
+  }
+  ['contentType', 'sessionUri', 'offset'].forEach(key => {
+    if (snapshot[key] !== undefined) {
+      upload[key] = snapshot[key];
+    }
+  });
+  if (snapshot.sent !== undefined) {
+    upload.tracker.sent = snapshot.sent;
+  }
+  upload.state._waiting = snapshot.waiting;
+  mirrorState(upload, snapshot.state);
+};
+
+/**
+ * Fire an event of the upload running in the worker on the proxy upload.
+ */
+const applyEvent = (upload, { event, detail, snapshot }) => {
+  syncState(upload, snapshot);
+
+  switch (event) {
+    case 'progress':
+      upload.state._progress = detail;
+      upload.dispatch('progress', detail);
+      break;
+    case 'error':
+      if (snapshot.state === FAILED) {
+        upload.state.failed = deserializeError(detail);
+      } else {
+        upload.error = deserializeError(detail);
+      }
+      break;
+    case 'done':
+      upload.result = detail;
+      upload.state.done = true;
+      break;
+    case 'cancel':
+      upload.state.cancel = true;
+      break;
+    case 'pause':
+      upload.state.pause = true;
+      break;
+    case 'waitingfornetwork':
+      upload.state.waiting = detail;
+      break;
+    case 'retry':
+    case 'sessionrestart':
+      upload.dispatch(event, Object.assign({}, detail, {
+        error: deserializeError(detail.error)
+      }));
+      break;
+  }
+};
+
+/**
+ * Make an Upload instance the proxy of an upload running in a worker: its
+ * events are the ones of the upload in the worker, and calling its methods
+ * calls the ones of the upload in the worker.
+ *
+ * @param {Upload} upload - Proxy upload.
+ * @param {object} channel - See `connect`.
+ * @param {string} id - Id of the upload in the worker.
+ * @param {function} sessionProvider - Function getting session URIs, if
+ * the worker asks for them.
+ */
+const attachUpload = (upload, channel, id, sessionProvider) => {
+  const stop = channel.listen(message => {
+    if (message.id !== id) {
+      return;
+    }
+
+    if (message.type === 'event') {
+      return applyEvent(upload, message);
+    }
+
+    if (message.type === 'session' && sessionProvider) {
+      const { requestId } = message;
+      sessionProvider(message.file, message.object).then(sessionUri => {
+        return channel.send({ type: 'session', id, requestId, sessionUri });
+      }, error => {
+        return channel.send({
+          type: 'session',
+          id,
+          requestId,
+          error: serializeError(error)
+        });
+      });
+    }
+  });
+
+  upload.remote = {
+    id,
+    send: (command, args = []) => new Promise((resolve, reject) => {
+      const requestId = Math.random().toString(36).slice(2);
+      // The answer may arrive after the upload is over, i.e. to cancel.
+      const stopWaiting = channel.listen(message => {
+        if (message.type !== 'command' || message.id !== id ||
+            message.requestId !== requestId) {
+          return;
+        }
+        stopWaiting();
+        if (message.snapshot) {
+          syncState(upload, message.snapshot);
+        }
+        if (message.error) {
+          reject(deserializeError(message.error));
+        } else {
+          resolve();
+        }
+      });
+      channel.send({ type: 'command', id, requestId, command, args })
+        .catch(error => {
+          stopWaiting();
+          reject(error);
+        });
+    })
+  };
+  upload.promise.then(stop, stop);
+};
+
+/**
+ * Start an upload in a worker.
+ *
+ * @param {Upload} upload - Proxy upload.
+ * @param {any} file - Data to upload. It must be cloneable, like Files and
+ * Blobs.
+ * @param {object} options - Upload options, including the `worker`.
+ * @param {boolean} resume - Whether to resume a persisted session, like
+ * `resumeOrRun`.
+ * @param {function} sessionProvider - Function getting session URIs, if
+ * the worker asks for them.
+ */
+const startInWorker = (upload, file, options, resume, sessionProvider) => {
+  const workerOptions = getWorkerOptions(options);
+  const channel = connect(options.worker);
+  const id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+  attachUpload(upload, channel, id, sessionProvider);
+  channel.send({
+    type: 'run',
+    id,
+    file,
+    options: workerOptions,
+    resume
+  }).catch(error => {
+    // i.e. a DataCloneError, because of an option that can't be sent.
+    upload.fail(error);
+  });
+};
+
+/**
+ * Get the uploads running in a worker, i.e. in the Service Worker, started
+ * by this page before a reload or by other pages.
+ *
+ * @param {any} worker - See `connect`.
+ * @param {number} timeout - Milliseconds to wait for the answer of the
+ * worker, after which there are no uploads.
+ *
+ * @return Promise that resolves with the `id`, `name` and `snapshot` of
+ * every upload, and the channel to talk to the worker.
+ */
+const listUploads = (worker, timeout = LIST_TIMEOUT) => {
+  const channel = connect(worker);
+  const requestId = Math.random().toString(36).slice(2);
+
+  return new Promise(resolve => {
+    let timer = null;
+    const finish = uploads => {
+      clearTimeout(timer);
+      stop();
+      resolve({ uploads, channel });
+    };
+    const stop = channel.listen(message => {
+      if (message.type === 'uploads' && message.requestId === requestId) {
+        finish(message.uploads);
+      }
+    });
+    timer = setTimeout(() => finish([]), timeout);
+    channel.send({ type: 'list', requestId }).catch(() => finish([]));
+  });
+};
+
+module.exports = {
+  startInWorker,
+  attachUpload,
+  listUploads,
+  syncState
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+import * as errors from '../errors.js';
+
+/**
+ * Messages between the pages and the workers running uploads carry this
+ * `channel`, so they don't get mixed up with the other messages of the
+ * application.
+ *
+ * Pages send:
+ * - run: Start uploading `file` with `options`, as `id`. With `resume`,
+ *   like `resumeOrRun`.
+ * - command: Call the `command` method of upload `id` with `args`: pause,
+ *   resume, cancel or setRateLimit, answered with a `command` message with
+ *   the same `requestId`.
+ * - session: Session URI, or `error`, answering the `session` request
+ *   `requestId` of upload `id`.
+ * - list: Ask for the uploads running in the worker, answered with an
+ *   `uploads` message with the same `requestId`.
+ *
+ * Workers send:
+ * - event: Upload `id` fired `event` with `detail`. It includes a
+ *   `snapshot` of the state of the upload.
+ * - command: The command `requestId` of upload `id` is done, with the
+ *   `snapshot` of the upload after it, or failed with `error`.
+ * - session: Ask for a session URI for upload `id`, for the `file` and
+ *   `object` given, answered with a `session` message with the same
+ *   `requestId`.
+ * - uploads: The `id`, `name` and `snapshot` of every upload running.
+ */
+const CHANNEL = 'gcs-uploader';
+
+/**
+ * Get a copy of an error that survives postMessage, which drops the
+ * properties of Error objects or refuses to clone them.
+ */
+const serializeError = error => {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+
+  const serialized = { name: error.name, message: error.message };
+  Object.keys(error).forEach(key => {
+    const value = error[key];
+    if (typeof value !== 'function') {
+      serialized[key] = value instanceof Error ? serializeError(value)
+                                               : value;
+    }
+  });
+  return serialized;
+};
+
+/**
+ * Rebuild an error serialized with serializeError, as an instance of the
+ * uploader error class with its name, if any.
+ */
+const deserializeError = serialized => {
+  const ErrorClass = errors[serialized.name] || Error;
+  const error = new ErrorClass(serialized.message, {});
+  Object.keys(serialized).forEach(key => {
+    const value = serialized[key];
+    error[key] = key === 'cause' && value ? deserializeError(value) : value;
+  });
+  return error;
+};
+
+module.exports = { CHANNEL, serializeError, deserializeError };
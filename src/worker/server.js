@@ -0,0 +1,331 @@
+'use strict';
+
+import { CHANNEL, serializeError, deserializeError } from './messages.js';
+import { run, resumeOrRun } from '../upload.js';
+import { IndexedDBStore } from '../session-store.js';
+import { StateError } from '../errors.js';
+import { DONE, FAILED } from '../states.js';
+
+/**
+ * Upload events forwarded to the pages.
+ */
+const EVENTS = ['statechange', 'progress', 'error', 'done', 'cancel',
+                'pause', 'waitingfornetwork', 'retry', 'sessionrestart'];
+
+/**
+ * Get the detail of an event in a form that survives postMessage.
+ */
+const serializeDetail = (event, detail) => {
+  switch (event) {
+    case 'error':
+      return serializeError(detail);
+    case 'retry':
+    case 'sessionrestart':
+      return Object.assign({}, detail, {
+        error: serializeError(detail.error)
+      });
+    default:
+      return detail;
+  }
+};
+
+const COMMANDS = ['pause', 'resume', 'cancel', 'setRateLimit'];
+
+/**
+ * State of an upload, sent with every event so the proxy uploads of the
+ * pages stay in sync.
+ */
+const snapshot = upload => ({
+  state: upload.currentState,
+  waiting: upload.state._waiting,
+  name: upload.file && upload.file.name,
+  size: upload.size,
+  contentType: upload.contentType,
+  sessionUri: upload.sessionUri,
+  offset: upload.offset,
+  sent: upload.tracker.sent
+});
+
+/**
+ * Get the Blob to upload with Background Fetch, which needs the whole body
+ * of the request up front.
+ */
+const getBlob = upload => {
+  const source = upload.steamer.source;
+  if (source.blob) {
+    return source.blob;
+  }
+  if (typeof Blob !== 'undefined' && upload.file instanceof Blob) {
+    return upload.file;
+  }
+  throw new Error('Background Fetch uploads need a File or a Blob');
+};
+
+/**
+ * Id of the Background Fetch sending the data of an upload from an
+ * offset. It includes the upload id, so a Service Worker started again
+ * after being stopped can still tell the pages when it finishes.
+ */
+const fetchId = (id, offset) => `${CHANNEL}:${id}:${offset}`;
+const uploadId = registrationId => registrationId.split(':')[1];
+
+/**
+ * Serve the uploads requested by pages, running them in the worker: a
+ * dedicated Worker or a Service Worker. In a Service Worker, uploads
+ * outlive the pages that started them, and their events are sent to every
+ * page, so pages opened later can follow them too.
+ *
+ * ```javascript
+ * // worker.js
+ * importScripts('gcs-uploader.js');
+ * gcsUploader.serveUploads(self);
+ * ```
+ *
+ * In a Service Worker, uploads started with the `backgroundFetch` option
+ * send their data with a single Background Fetch, which the browser keeps
+ * running even if the Service Worker is stopped.
+ *
+ * @param {object} scope - Global scope of the worker.
+ */
+const serveUploads = (scope = self) => {
+  const uploads = {};
+  const fetches = {};
+  const sessionRequests = {};
+  let nextRequestId = 0;
+  const isServiceWorker = !!(scope.clients && scope.registration);
+
+  const post = message => {
+    message = Object.assign({ channel: CHANNEL }, message);
+    if (!isServiceWorker) {
+      return scope.postMessage(message);
+    }
+    scope.clients.matchAll({ includeUncontrolled: true }).then(clients => {
+      clients.forEach(client => client.postMessage(message));
+    });
+  };
+
+  const postEvent = (id, upload, event, detail) => {
+    post({ type: 'event', id, event, detail, snapshot: snapshot(upload) });
+  };
+
+  /**
+   * Session provider asking the pages for session URIs.
+   */
+  const pageSessionProvider = id => (file, object) => {
+    // Sources other than Blobs can't be cloned, describe them instead.
+    if (typeof Blob === 'undefined' || !(file instanceof Blob)) {
+      const { name, size, type, lastModified } = file;
+      file = { name, size, type, lastModified };
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestId = nextRequestId++;
+      sessionRequests[requestId] = { resolve, reject };
+      post({ type: 'session', id, requestId, file, object });
+    });
+  };
+
+  /**
+   * Send the rest of the data of an upload with a Background Fetch,
+   * instead of chunk by chunk.
+   */
+  const startBackgroundFetch = (id, upload, offset) => {
+    const blob = getBlob(upload);
+    const range = `bytes ${offset}-${upload.size - 1}/${upload.size}`;
+    const request = new Request(upload.sessionUri, {
+      method: 'PUT',
+      headers: Object.assign({
+        'Content-Range': range,
+        'Content-Type': upload.contentType
+      }, upload.headers),
+      body: blob.slice(offset)
+    });
+
+    return scope.registration.backgroundFetch.fetch(fetchId(id, offset),
+                                                    [request], {
+      title: upload.file.name,
+      uploadTotal: upload.size - offset
+    }).then(registration => {
+      fetches[registration.id] = upload;
+      registration.addEventListener('progress', () => {
+        upload.progress = offset + registration.uploaded;
+      });
+
+      const stop = () => {
+        // Not an abort requested from the browser UI.
+        delete fetches[registration.id];
+        registration.abort();
+      };
+      upload.addEventListener('pause', stop);
+      upload.addEventListener('cancel', stop);
+    }).catch(error => {
+      upload.fail(error);
+    });
+  };
+
+  const start = (id, file, options, resume) => {
+    if (options.sessionProvider === 'page') {
+      options.sessionProvider = pageSessionProvider(id);
+    }
+    if (options.store && options.store.indexedDB) {
+      const { dbName, storeName } = options.store.indexedDB;
+      options.store = new IndexedDBStore(dbName, storeName);
+    }
+
+    const upload = (resume ? resumeOrRun : run)(file, options);
+    uploads[id] = upload;
+    EVENTS.forEach(event => {
+      upload.addEventListener(event, detail => {
+        postEvent(id, upload, event, serializeDetail(event, detail));
+      });
+    });
+    upload.promise.catch(() => {}).then(() => {
+      delete uploads[id];
+    });
+
+    if (options.backgroundFetch) {
+      if (!isServiceWorker || !scope.registration.backgroundFetch) {
+        upload.fail(new Error('Background Fetch is not supported'));
+      } else {
+        upload.sendRemaining = offset => {
+          return startBackgroundFetch(id, upload, offset);
+        };
+      }
+    }
+    return upload;
+  };
+
+  const command = (id, requestId, name, args) => {
+    const upload = uploads[id];
+    const reply = error => post({
+      type: 'command',
+      id,
+      requestId,
+      snapshot: upload && snapshot(upload),
+      error: error && serializeError(error)
+    });
+
+    if (!upload) {
+      return reply(new StateError('The upload is not running in the worker',
+                                  {}));
+    }
+    if (COMMANDS.indexOf(name) === -1) {
+      return reply(new Error(`Unknown command ${name}`));
+    }
+    try {
+      // Cancelling returns a Promise, which rejects if it can't be done.
+      const result = upload[name].apply(upload, args);
+      Promise.resolve(result).then(() => reply(), reply);
+    } catch (error) {
+      reply(error);
+    }
+  };
+
+  scope.addEventListener('message', event => {
+    const message = event.data;
+    if (!message || message.channel !== CHANNEL) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'run': {
+        const { id, file, options, resume } = message;
+        let upload;
+        try {
+          upload = start(id, file, options, resume);
+        } catch (error) {
+          // i.e. the file did not pass the validation options.
+          return post({
+            type: 'event',
+            id,
+            event: 'error',
+            detail: serializeError(error),
+            snapshot: { state: FAILED, waiting: null }
+          });
+        }
+        if (event.waitUntil) {
+          // Keeps the Service Worker alive while uploading, as long as the
+          // browser allows it.
+          event.waitUntil(upload.promise.catch(() => {}));
+        }
+        break;
+      }
+      case 'command':
+        command(message.id, message.requestId, message.command,
+                message.args);
+        break;
+      case 'session': {
+        const request = sessionRequests[message.requestId];
+        if (!request) {
+          // Already answered by another page.
+          return;
+        }
+        delete sessionRequests[message.requestId];
+        if (message.error) {
+          request.reject(deserializeError(message.error));
+        } else {
+          request.resolve(message.sessionUri);
+        }
+        break;
+      }
+      case 'list':
+        post({
+          type: 'uploads',
+          requestId: message.requestId,
+          uploads: Object.keys(uploads).map(id => ({
+            id,
+            snapshot: snapshot(uploads[id])
+          }))
+        });
+        break;
+    }
+  });
+
+  if (!isServiceWorker) {
+    return;
+  }
+
+  scope.addEventListener('backgroundfetchsuccess', event => {
+    const { registration } = event;
+    const upload = fetches[registration.id];
+    delete fetches[registration.id];
+
+    event.waitUntil(registration.matchAll().then(records => {
+      return records[0].responseReady;
+    }).then(response => response.json()).then(metadata => {
+      if (upload) {
+        upload.progress = upload.size;
+        return upload.done(metadata);
+      }
+
+      // The Service Worker was stopped meanwhile, the upload is gone.
+      post({
+        type: 'event',
+        id: uploadId(registration.id),
+        event: 'done',
+        detail: metadata,
+        snapshot: { state: DONE, waiting: null }
+      });
+    }));
+  });
+
+  scope.addEventListener('backgroundfetchfail', event => {
+    const upload = fetches[event.registration.id];
+    delete fetches[event.registration.id];
+    if (upload) {
+      upload.fail(new Error(
+        `Background Fetch failed: ${event.registration.failureReason}`));
+    }
+  });
+
+  scope.addEventListener('backgroundfetchabort', event => {
+    // Cancelled from the browser UI.
+    const upload = fetches[event.registration.id];
+    delete fetches[event.registration.id];
+    if (upload) {
+      upload.cancel();
+    }
+  });
+};
+
+module.exports = { serveUploads };
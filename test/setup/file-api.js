@@ -0,0 +1,71 @@
+// Minimal Blob, File and FileReader implementations, so the browser code
+// paths can be tested in Node.js. Only what the uploader uses is supported.
+
+class Blob {
+  constructor(parts = [], options = {}) {
+    this._buffer = Buffer.concat(parts.map(part => {
+      if (part instanceof Blob) {
+        return part._buffer;
+      }
+      return Buffer.from(part);
+    }));
+    this.size = this._buffer.length;
+    this.type = options.type || '';
+  }
+
+  slice(start = 0, end = this.size, type = '') {
+    return new Blob([this._buffer.slice(start, end)], { type });
+  }
+
+  arrayBuffer() {
+    const { buffer, byteOffset, byteLength } = this._buffer;
+    return Promise.resolve(buffer.slice(byteOffset, byteOffset + byteLength));
+  }
+}
+
+class File extends Blob {
+  constructor(parts, name, options = {}) {
+    super(parts, options);
+    this.name = name;
+    this.lastModified = options.lastModified || Date.now();
+  }
+}
+
+class FileReader {
+  constructor() {
+    this.readyState = FileReader.EMPTY;
+    this.result = null;
+  }
+
+  readAsArrayBuffer(blob) {
+    this.readyState = FileReader.LOADING;
+    blob.arrayBuffer().then(result => {
+      if (this.readyState !== FileReader.LOADING) {
+        return;
+      }
+      this.readyState = FileReader.DONE;
+      this.result = result;
+      if (this.onloadend) {
+        this.onloadend({ target: this, loaded: result.byteLength });
+      }
+    });
+  }
+
+  abort() {
+    this.readyState = FileReader.DONE;
+    if (this.onabort) {
+      this.onabort({ target: this });
+    }
+  }
+}
+
+FileReader.EMPTY = 0;
+FileReader.LOADING = 1;
+FileReader.DONE = 2;
+
+module.exports = function(root) {
+  root = root ? root : global;
+  root.Blob = root.Blob || Blob;
+  root.File = root.File || File;
+  root.FileReader = root.FileReader || FileReader;
+};
@@ -4,6 +4,7 @@ global.chai.use(require('sinon-chai'));
 
 require('babel-core/register');
 require('./setup')();
+require('./file-api')();
 
 /*
 	Uncomment the following if your library uses features of the DOM,
@@ -0,0 +1,45 @@
+import { ChunkSizer, validateChunkSize } from '../../src/chunk-sizer';
+
+const KiB = 1024;
+const MiB = 1024 * KiB;
+
+describe('validateChunkSize', () => {
+  it('should accept multiples of 256 KiB', () => {
+    validateChunkSize(256 * KiB);
+    validateChunkSize(8 * MiB);
+  });
+
+  it('should reject other sizes', () => {
+    expect(() => validateChunkSize(1000)).to.throw(/256 KiB/);
+    expect(() => validateChunkSize(0)).to.throw(/256 KiB/);
+    expect(() => validateChunkSize('1')).to.throw(/256 KiB/);
+  });
+});
+
+describe('ChunkSizer', () => {
+  it('should grow up to twice the size on fast links', () => {
+    const sizer = new ChunkSizer(MiB, { targetDuration: 1000 });
+    expect(sizer.recordSuccess(MiB, 10)).to.equal(2 * MiB);
+    expect(sizer.recordSuccess(2 * MiB, 10)).to.equal(4 * MiB);
+  });
+
+  it('should aim for the target duration', () => {
+    const sizer = new ChunkSizer(4 * MiB, { targetDuration: 1000 });
+    // 1 MiB per second.
+    expect(sizer.recordSuccess(4 * MiB, 4000)).to.equal(MiB);
+  });
+
+  it('should stay within the limits', () => {
+    const sizer = new ChunkSizer(MiB, { min: MiB, max: 2 * MiB });
+    expect(sizer.recordSuccess(MiB, 1)).to.equal(2 * MiB);
+    expect(sizer.recordSuccess(2 * MiB, 1)).to.equal(2 * MiB);
+    expect(sizer.recordFailure()).to.equal(MiB);
+    expect(sizer.recordFailure()).to.equal(MiB);
+  });
+
+  it('should not grow while the failure rate is high', () => {
+    const sizer = new ChunkSizer(4 * MiB, { window: 4, maxFailureRate: 0.2 });
+    sizer.recordFailure();
+    expect(sizer.recordSuccess(2 * MiB, 1)).to.equal(2 * MiB);
+  });
+});
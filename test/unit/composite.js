@@ -0,0 +1,140 @@
+import { splitParts } from '../../src/composite';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run, UPLOADING, PAUSED, CANCELLED } from '../../src/upload';
+
+const KiB = 1024;
+const MiB = 1024 * KiB;
+
+describe('composite uploads', () => {
+  describe('splitParts', () => {
+    it('should split in parts multiple of 256 KiB', () => {
+      const parts = splitParts(10 * MiB + 1, { parts: 4, minPartSize: MiB });
+      expect(parts.length).to.equal(4);
+      parts.slice(0, 3).forEach(({ start, end }) => {
+        expect((end - start) % (256 * KiB)).to.equal(0);
+      });
+      expect(parts[3].end).to.equal(10 * MiB + 1);
+    });
+
+    it('should use fewer parts for small uploads', () => {
+      const parts = splitParts(3 * MiB, { parts: 8, minPartSize: MiB });
+      expect(parts).to.deep.equal([
+        { start: 0, end: MiB },
+        { start: MiB, end: 2 * MiB },
+        { start: 2 * MiB, end: 3 * MiB }
+      ]);
+    });
+  });
+
+  describe('run', () => {
+    let transport;
+    let options;
+
+    beforeEach(() => {
+      transport = new FakeGcsTransport();
+      options = {
+        name: 'file.bin',
+        chunkSize: 512 * KiB,
+        composite: { parts: 2, minPartSize: 256 * KiB },
+        network: false,
+        transport
+      };
+    });
+
+    it('should upload the parts in parallel and compose them', () => {
+      const upload = run(Buffer.alloc(MiB), options);
+      const onprogress = spy();
+      upload.onprogress = onprogress;
+
+      return upload.promise.then(metadata => {
+        expect(metadata.name).to.equal('file.bin');
+        expect(metadata.size).to.equal(String(MiB));
+        expect(onprogress.lastCall.args[0].sent).to.equal(MiB);
+
+        const parts = Object.keys(transport.objects)
+          .filter(name => name !== 'file.bin');
+        expect(parts.length).to.equal(2);
+        parts.forEach(name => {
+          expect(name).to.match(/^file\.bin\./);
+          expect(transport.objects[name].data.byteLength).to.equal(512 * KiB);
+        });
+        expect(transport.requests.filter(request => {
+          return request.type === 'compose';
+        }).length).to.equal(1);
+      });
+    });
+
+    it('should pause and cancel every part', () => {
+      const upload = run(Buffer.alloc(MiB), options);
+      upload.pause();
+      upload.parts.forEach(part => {
+        expect(part.currentState).to.equal(PAUSED);
+      });
+
+      upload.resume();
+      return upload.cancel().then(() => {
+        upload.parts.forEach(part => {
+          expect(part.currentState).to.equal(CANCELLED);
+        });
+        expect(upload.currentState).to.equal(CANCELLED);
+      });
+    });
+
+    it('should fail if a part fails', () => {
+      options.retry = { maxAttempts: 1 };
+      const upload = run(Buffer.alloc(MiB), options);
+      const onerror = spy();
+      upload.onerror = onerror;
+      upload.parts[0].addEventListener('statechange', ({ next }) => {
+        if (next === UPLOADING) {
+          transport.failNext(403);
+        }
+      });
+
+      return upload.promise.then(() => {
+        throw new Error('Should have been rejected');
+      }, error => {
+        expect(error.status).to.equal(403);
+        expect(onerror).to.have.been.calledOnce;
+        expect(transport.requests.some(request => {
+          return request.type === 'compose';
+        })).to.be.false;
+      });
+    });
+
+    it('should delete the uploaded parts if a part fails', () => {
+      options.retry = { maxAttempts: 1 };
+      const upload = run(Buffer.alloc(MiB), options);
+      upload.parts[1].pause();
+      upload.parts[0].promise.then(() => {
+        transport.failNext(403);
+        upload.parts[1].resume();
+      });
+
+      return upload.promise.then(() => {
+        throw new Error('Should have been rejected');
+      }, error => {
+        expect(error.status).to.equal(403);
+        // The cleanup request is sent after the upload fails.
+        return new Promise(resolve => setTimeout(resolve));
+      }).then(() => {
+        expect(transport.requests.filter(request => {
+          return request.type === 'cleanup';
+        }).length).to.equal(1);
+        expect(Object.keys(transport.objects)).to.be.empty;
+      });
+    });
+
+    it('should delete the uploaded parts if cancelled', () => {
+      const upload = run(Buffer.alloc(MiB), options);
+      upload.parts[1].pause();
+
+      return upload.parts[0].promise.then(() => {
+        expect(Object.keys(transport.objects).length).to.equal(1);
+        return upload.cancel();
+      }).then(() => new Promise(resolve => setTimeout(resolve))).then(() => {
+        expect(Object.keys(transport.objects)).to.be.empty;
+      });
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import {
+  sniffContentType,
+  typeFromExtension,
+  typeFromMagicNumber
+} from '../../src/content-type';
+import BufferSource from '../../src/sources/buffer';
+
+describe('content type', () => {
+  it('should guess the type from the extension', () => {
+    expect(typeFromExtension('photo.JPG')).to.equal('image/jpeg');
+    expect(typeFromExtension('archive.tar.gz')).to.equal('application/gzip');
+    expect(typeFromExtension('README')).to.equal(undefined);
+  });
+
+  it('should guess the type from the magic number', () => {
+    const png = Buffer.from('89504e470d0a1a0a0000', 'hex');
+    const mp4 = Buffer.from('0000001866747970', 'hex');
+    expect(typeFromMagicNumber(png)).to.equal('image/png');
+    expect(typeFromMagicNumber(mp4)).to.equal('video/mp4');
+    expect(typeFromMagicNumber(Buffer.from('hello'))).to.equal(undefined);
+  });
+
+  it('should fall back to the first bytes of the data', () => {
+    const source = new BufferSource(Buffer.from('%PDF-1.4 ...'));
+    return sniffContentType('document', source).then(type => {
+      expect(type).to.equal('application/pdf');
+      return sniffContentType('data', new BufferSource(Buffer.from('?')));
+    }).then(type => {
+      expect(type).to.equal('application/octet-stream');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import nodeCrypto from 'crypto';
+import { getEncryptionHeaders } from '../../src/encryption';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run } from '../../src/upload';
+
+const KEY = nodeCrypto.randomBytes(32).toString('base64');
+const KEY_SHA256 = nodeCrypto.createHash('sha256')
+  .update(Buffer.from(KEY, 'base64')).digest('base64');
+
+/**
+ * WebCrypto lookalike backed by the Node.js crypto module. Wrapping a key
+ * just exports it.
+ */
+const fakeCrypto = () => ({
+  getRandomValues: array => {
+    array.set(nodeCrypto.randomBytes(array.length));
+    return array;
+  },
+  subtle: {
+    generateKey: () => Promise.resolve({ raw: nodeCrypto.randomBytes(32) }),
+    wrapKey: (format, key) => Promise.resolve(new Uint8Array(key.raw)),
+    encrypt: ({ iv }, key, data) => {
+      const cipher = nodeCrypto.createCipheriv('aes-256-gcm', key.raw, iv);
+      return Promise.resolve(new Uint8Array(Buffer.concat([
+        cipher.update(Buffer.from(data)),
+        cipher.final(),
+        cipher.getAuthTag()
+      ])));
+    }
+  }
+});
+
+const decrypt = (data, key, recordSize) => {
+  const pieces = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const record = data.slice(offset, offset + 12 + recordSize + 16);
+    const decipher = nodeCrypto.createDecipheriv(
+      'aes-256-gcm', key, record.slice(0, 12));
+    decipher.setAuthTag(record.slice(-16));
+    pieces.push(decipher.update(record.slice(12, -16)), decipher.final());
+    offset += record.length;
+  }
+  return Buffer.concat(pieces);
+};
+
+describe('encryption', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new FakeGcsTransport();
+  });
+
+  afterEach(() => {
+    delete global.crypto;
+  });
+
+  describe('customer-supplied keys', () => {
+    it('should hash the key', () => {
+      return getEncryptionHeaders({ key: KEY }).then(headers => {
+        expect(headers).to.deep.equal({
+          'x-goog-encryption-algorithm': 'AES256',
+          'x-goog-encryption-key': KEY,
+          'x-goog-encryption-key-sha256': KEY_SHA256
+        });
+      });
+    });
+
+    it('should reject keys that are not 256 bit long', () => {
+      return getEncryptionHeaders({ key: 'c2hvcnQ=' }).then(() => {
+        throw new Error('Should have been rejected');
+      }, error => {
+        expect(error.message).to.contain('256 bit');
+      });
+    });
+
+    it('should send the headers with every request', () => {
+      const upload = run(new File(['hello'], 'hello.txt'), {
+        encryption: { key: KEY },
+        network: false,
+        transport
+      });
+
+      return upload.promise.then(() => {
+        expect(transport.requests.length).to.equal(2);
+        transport.requests.forEach(({ headers }) => {
+          expect(headers['x-goog-encryption-key']).to.equal(KEY);
+          expect(headers['x-goog-encryption-key-sha256'])
+            .to.equal(KEY_SHA256);
+        });
+      });
+    });
+  });
+
+  describe('client-side encryption', () => {
+    it('should upload encrypted records and the key envelope', () => {
+      global.crypto = fakeCrypto();
+      const data = nodeCrypto.randomBytes(1000);
+      const buildBody = spy((file, object) => ({ bucketFile: object.name }));
+
+      const upload = run(data, {
+        name: 'secret',
+        session: { buildBody },
+        network: false,
+        transport,
+        encryption: { clientSide: { wrappingKey: {
+          algorithm: { name: 'AES-KW' }
+        }, recordSize: 300 } }
+      });
+
+      return upload.promise.then(() => {
+        const object = buildBody.firstCall.args[1];
+        const envelope = JSON.parse(object.metadata['encryption-envelope']);
+        expect(envelope).to.include({
+          algorithm: 'AES-GCM',
+          recordSize: 300,
+          ivLength: 12,
+          wrapAlgorithm: 'AES-KW'
+        });
+
+        const stored = transport.objects.secret.data;
+        const key = Buffer.from(envelope.wrappedKey, 'base64');
+        expect(stored.byteLength).to.equal(1000 + 4 * (12 + 16));
+        expect(decrypt(Buffer.from(stored), key, 300).equals(data))
+          .to.equal(true);
+      });
+    });
+  });
+});
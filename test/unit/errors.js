@@ -0,0 +1,218 @@
+import { PassThrough } from 'stream';
+import {
+  HttpError,
+  SessionExpiredError,
+  NetworkError,
+  SessionError,
+  RetryLimitError
+} from '../../src/errors';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { createResponse } from '../../src/transports/response';
+import { run, UPLOADING } from '../../src/upload';
+
+const OPTIONS = {
+  name: 'data',
+  network: false,
+  retry: { baseDelay: 0, jitter: 0, maxAttempts: 3 }
+};
+
+describe('errors', () => {
+  it('should flag transient HTTP statuses as retryable', () => {
+    expect(new HttpError('', { status: 503 }).retryable).to.be.true;
+    expect(new HttpError('', { status: 403 }).retryable).to.be.false;
+    expect(new NetworkError('', {}).retryable).to.be.true;
+  });
+
+  it('should make expired sessions HTTP errors that are not retryable', () => {
+    const error = new SessionExpiredError('', { status: 410, offset: 10 });
+    expect(error).to.be.an.instanceof(SessionExpiredError);
+    expect(error).to.be.an.instanceof(HttpError);
+    expect(error).to.be.an.instanceof(Error);
+    expect(error.name).to.equal('SessionExpiredError');
+    expect(error.status).to.equal(410);
+    expect(error.offset).to.equal(10);
+    expect(error.retryable).to.be.false;
+  });
+
+  it('should retry session errors caused by the network', () => {
+    const cause = new NetworkError('', {});
+    expect(new SessionError('', { cause }).retryable).to.be.true;
+    expect(new SessionError('', { status: 401 }).retryable).to.be.false;
+  });
+
+  describe('uploads', () => {
+    let transport;
+
+    beforeEach(() => {
+      transport = new FakeGcsTransport();
+    });
+
+    it('should fail with a SessionError if the session request fails', () => {
+      transport = {
+        request: stub().returns(Promise.resolve(
+          createResponse(403, () => null, '{"error":"denied"}')))
+      };
+
+      const upload = run(Buffer.alloc(10), Object.assign({
+        transport
+      }, OPTIONS));
+      return upload.promise.then(() => {
+        throw new Error('Should have failed');
+      }, error => {
+        expect(error).to.be.an.instanceof(SessionError);
+        expect(error.status).to.equal(403);
+        expect(error.body).to.equal('{"error":"denied"}');
+        expect(error.offset).to.equal(0);
+      });
+    });
+
+    it('should wrap the errors of session providers', () => {
+      const cause = new Error('No token');
+      const upload = run(Buffer.alloc(10), Object.assign({
+        sessionProvider: () => Promise.reject(cause)
+      }, OPTIONS));
+      return upload.promise.then(() => {
+        throw new Error('Should have failed');
+      }, error => {
+        expect(error).to.be.an.instanceof(SessionError);
+        expect(error.cause).to.equal(cause);
+      });
+    });
+
+    it('should report retries, and the final error only once', () => {
+      const onretry = spy();
+      const onerror = spy();
+
+      const upload = run(Buffer.alloc(10), Object.assign({
+        transport
+      }, OPTIONS));
+      upload.onretry = onretry;
+      upload.onerror = onerror;
+      upload.onstatechange = ({ next }) => {
+        if (next === UPLOADING) {
+          // No response, then server errors.
+          transport.failNext(0);
+          transport.failNext(503, 2);
+        }
+      };
+
+      return upload.promise.then(() => {
+        throw new Error('Should have failed');
+      }, error => {
+        expect(onretry).to.have.been.calledTwice;
+        const { error: first, attempts } = onretry.firstCall.args[0];
+        expect(first).to.be.an.instanceof(NetworkError);
+        expect(first.cause).to.be.an.instanceof(TypeError);
+        expect(first.retryable).to.be.true;
+        expect(attempts).to.equal(1);
+        expect(onretry.secondCall.args[0].error).to.be.an.instanceof(
+          HttpError);
+
+        expect(onerror).to.have.been.calledOnce;
+        expect(onerror).to.have.been.calledWith(error);
+        expect(error).to.be.an.instanceof(RetryLimitError);
+        expect(error.cause.status).to.equal(503);
+        expect(error.retryable).to.be.false;
+      });
+    });
+
+    it('should not retry expired sessions', () => {
+      const onretry = spy();
+
+      const upload = run(Buffer.alloc(10), Object.assign({
+        sessionExpired: 'fail',
+        transport
+      }, OPTIONS));
+      upload.onretry = onretry;
+      upload.onstatechange = ({ next }) => {
+        if (next === UPLOADING) {
+          transport.failNext(404);
+        }
+      };
+
+      return upload.promise.then(() => {
+        throw new Error('Should have failed');
+      }, error => {
+        expect(error).to.be.an.instanceof(SessionExpiredError);
+        expect(error.retryable).to.be.false;
+        expect(onretry).not.to.have.been.called;
+      });
+    });
+  });
+
+  describe('expired sessions', () => {
+    const KiB = 1024;
+    let transport;
+    let options;
+
+    beforeEach(() => {
+      transport = new FakeGcsTransport();
+      options = Object.assign({ chunkSize: 256 * KiB, transport }, OPTIONS);
+    });
+
+    it('should restart the upload with a new session', () => {
+      const onsessionrestart = spy();
+      const sent = [];
+
+      const upload = run(Buffer.alloc(512 * KiB), options);
+      upload.onsessionrestart = onsessionrestart;
+      upload.onprogress = progress => {
+        sent.push(progress.sent);
+        if (sent.length === 1) {
+          transport.expire(upload.sessionUri);
+        }
+      };
+
+      return upload.promise.then(() => {
+        const sessions = Object.keys(transport.sessions);
+        expect(sessions.length).to.equal(2);
+        expect(onsessionrestart).to.have.been.calledOnce;
+        const { error, offset } = onsessionrestart.firstCall.args[0];
+        expect(error).to.be.an.instanceof(SessionExpiredError);
+        expect(offset).to.equal(256 * KiB);
+        expect(sent).to.deep.equal([256 * KiB, 0, 256 * KiB, 512 * KiB]);
+
+        const restarted = transport.requests.filter(request => {
+          return request.url === sessions[1];
+        })[0];
+        expect(restarted.headers['Content-Range'])
+          .to.equal(`bytes 0-${256 * KiB - 1}/${512 * KiB}`);
+      });
+    });
+
+    it('should not restart streams already partly discarded', () => {
+      const stream = new PassThrough();
+      stream.end(Buffer.alloc(512 * KiB));
+      const onsessionrestart = spy();
+
+      const upload = run(stream, options);
+      upload.onsessionrestart = onsessionrestart;
+      upload.onprogress = () => transport.expire(upload.sessionUri);
+
+      return upload.promise.then(() => {
+        throw new Error('Should have failed');
+      }, error => {
+        expect(error).to.be.an.instanceof(SessionExpiredError);
+        expect(error.offset).to.equal(256 * KiB);
+        expect(onsessionrestart).not.to.have.been.called;
+      });
+    });
+
+    it('should give up if new sessions keep expiring', () => {
+      const upload = run(Buffer.alloc(10), options);
+      upload.onstatechange = ({ next }) => {
+        if (next === UPLOADING) {
+          transport.failNext(404);
+        }
+      };
+
+      return upload.promise.then(() => {
+        throw new Error('Should have failed');
+      }, error => {
+        expect(error).to.be.an.instanceof(RetryLimitError);
+        expect(error.cause).to.be.an.instanceof(SessionExpiredError);
+        expect(Object.keys(transport.sessions).length).to.equal(3);
+      });
+    });
+  });
+});
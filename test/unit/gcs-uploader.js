@@ -1,4 +1,244 @@
+import { PassThrough } from 'stream';
 import gcsUploader from '../../src/gcs';
 
+const {
+  FakeGcsTransport,
+  NetworkError,
+  RetryLimitError,
+  SessionExpiredError,
+  UPLOADING,
+  PAUSED
+} = gcsUploader;
+
+const KiB = 1024;
+
+const createData = size => {
+  const data = Buffer.alloc(size);
+  for (let i = 0; i < size; i++) {
+    data[i] = i % 251;
+  }
+  return data;
+};
+
+const stored = (transport, name) => {
+  const { data } = transport.objects[name];
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+};
+
+const puts = transport => {
+  return transport.requests.filter(request => request.method === 'PUT');
+};
+
 describe('gcsUploader', () => {
+  let transport;
+  let options;
+
+  beforeEach(() => {
+    transport = new FakeGcsTransport();
+    options = {
+      name: 'data.bin',
+      chunkSize: 256 * KiB,
+      network: false,
+      retry: { baseDelay: 0, jitter: 0 },
+      transport
+    };
+  });
+
+  it('should upload the data chunk by chunk', () => {
+    const data = createData(600 * KiB);
+
+    return gcsUploader.run(data, options).promise.then(metadata => {
+      expect(metadata.name).to.equal('data.bin');
+      expect(metadata.size).to.equal(String(600 * KiB));
+      expect(stored(transport, 'data.bin').equals(data)).to.be.true;
+      expect(puts(transport).map(request => {
+        return request.headers['Content-Range'];
+      })).to.deep.equal([
+        `bytes 0-${256 * KiB - 1}/${600 * KiB}`,
+        `bytes ${256 * KiB}-${512 * KiB - 1}/${600 * KiB}`,
+        `bytes ${512 * KiB}-${600 * KiB - 1}/${600 * KiB}`
+      ]);
+    });
+  });
+
+  it('should send again the data GCS did not persist', () => {
+    transport = new FakeGcsTransport({ maxBytesPerRequest: 200 * KiB });
+    const data = createData(300 * KiB);
+
+    const upload = gcsUploader.run(data, Object.assign({}, options, {
+      transport
+    }));
+    return upload.promise.then(() => {
+      expect(stored(transport, 'data.bin').equals(data)).to.be.true;
+      expect(puts(transport)[1].headers['Content-Range']).to.equal(
+        `bytes ${200 * KiB}-${300 * KiB - 1}/${300 * KiB}`);
+    });
+  });
+
+  it('should upload streams of unknown size', () => {
+    const data = createData(300 * KiB);
+    const stream = new PassThrough();
+    stream.end(data);
+
+    return gcsUploader.run(stream, options).promise.then(metadata => {
+      expect(metadata.size).to.equal(String(300 * KiB));
+      expect(puts(transport)[0].headers['Content-Range']).to.equal(
+        `bytes 0-${256 * KiB - 1}/*`);
+    });
+  });
+
+  it('should retry failed requests', () => {
+    const onretry = spy();
+    const upload = gcsUploader.run(createData(10 * KiB), options);
+    upload.onretry = onretry;
+    upload.onstatechange = ({ next }) => {
+      if (next === UPLOADING) {
+        // No response, then a server error.
+        transport.failNext(0);
+        transport.failNext(503);
+      }
+    };
+
+    return upload.promise.then(() => {
+      expect(onretry).to.have.been.calledTwice;
+      expect(onretry.firstCall.args[0].error).to.be.an.instanceof(
+        NetworkError);
+      expect(onretry.secondCall.args[0].error.status).to.equal(503);
+      expect(transport.objects['data.bin'].data.byteLength).to.equal(
+        10 * KiB);
+    });
+  });
+
+  it('should give up if every chunk fails', () => {
+    const onretry = spy();
+    const upload = gcsUploader.run(createData(10 * KiB),
+                                   Object.assign({}, options, {
+                                     retry: { baseDelay: 1, maxAttempts: 3 },
+                                     interceptors: {
+                                       beforeRequest: request => {
+                                         if (request.type === 'chunk') {
+                                           transport.failNext(503);
+                                         }
+                                       }
+                                     }
+                                   }));
+    upload.onretry = onretry;
+
+    return upload.promise.then(() => {
+      throw new Error('Should have failed');
+    }, error => {
+      expect(error).to.be.an.instanceof(RetryLimitError);
+      expect(error.cause.status).to.equal(503);
+      expect(onretry).to.have.been.calledTwice;
+      expect(transport.requests.filter(request => {
+        return request.type === 'chunk';
+      }).length).to.equal(3);
+    });
+  });
+
+  it('should resume from the offset persisted by GCS', () => {
+    const data = createData(600 * KiB);
+    const upload = gcsUploader.run(data, options);
+    let paused = false;
+    upload.onprogress = () => {
+      if (!paused) {
+        paused = true;
+        upload.pause();
+        expect(upload.currentState).to.equal(PAUSED);
+        setTimeout(() => upload.resume());
+      }
+    };
+
+    return upload.promise.then(() => {
+      expect(puts(transport)[1].headers['Content-Range']).to.equal(
+        `bytes */${600 * KiB}`);
+      expect(stored(transport, 'data.bin').equals(data)).to.be.true;
+    });
+  });
+
+  it('should restart the upload when the session expires', () => {
+    const data = createData(600 * KiB);
+    const onsessionrestart = spy();
+    const upload = gcsUploader.run(data, options);
+    upload.onsessionrestart = onsessionrestart;
+    upload.onprogress = () => {
+      if (!onsessionrestart.called) {
+        transport.expire(upload.sessionUri);
+      }
+    };
+
+    return upload.promise.then(() => {
+      expect(onsessionrestart).to.have.been.calledOnce;
+      expect(Object.keys(transport.sessions).length).to.equal(2);
+      expect(stored(transport, 'data.bin').equals(data)).to.be.true;
+    });
+  });
+
+  it('should give up if sessions keep expiring after some progress', () => {
+    const onsessionrestart = spy();
+    const upload = gcsUploader.run(createData(600 * KiB),
+                                   Object.assign({}, options, {
+                                     retry: { baseDelay: 0, maxAttempts: 3 }
+                                   }));
+    upload.onsessionrestart = onsessionrestart;
+    upload.onprogress = progress => {
+      if (progress.sent) {
+        transport.expire(upload.sessionUri);
+      }
+    };
+
+    return upload.promise.then(() => {
+      throw new Error('Should have failed');
+    }, error => {
+      expect(error).to.be.an.instanceof(RetryLimitError);
+      expect(error.cause).to.be.an.instanceof(SessionExpiredError);
+      expect(onsessionrestart).to.have.been.calledTwice;
+      expect(Object.keys(transport.sessions).length).to.equal(3);
+    });
+  });
+
+  it('should fail if the data cannot be hashed', () => {
+    const crash = new Error('Worker crashed');
+    const onretry = spy();
+    const upload = gcsUploader.run(createData(600 * KiB), options);
+    upload.onretry = onretry;
+    upload.steamer.hasher.update = () => Promise.reject(crash);
+
+    return upload.promise.then(() => {
+      throw new Error('Should have failed');
+    }, error => {
+      expect(error).to.equal(crash);
+      expect(onretry).not.to.have.been.called;
+      expect(transport.objects['data.bin']).to.be.undefined;
+    });
+  });
+
+  it('should delete the session when cancelled', () => {
+    const upload = gcsUploader.run(createData(600 * KiB), options);
+    let cancelled;
+    upload.onprogress = () => {
+      cancelled = cancelled || upload.cancel();
+    };
+
+    return upload.promise.then(() => {
+      throw new Error('Should have been cancelled');
+    }, () => cancelled).then(() => {
+      const sessionUri = Object.keys(transport.sessions)[0];
+      expect(transport.sessions[sessionUri].deleted).to.be.true;
+      expect(transport.objects['data.bin']).to.be.undefined;
+    });
+  });
+
+  it('should compose the parts of composite uploads', () => {
+    const data = createData(600 * KiB);
+
+    const upload = gcsUploader.run(data, Object.assign({}, options, {
+      composite: { parts: 2, minPartSize: 256 * KiB }
+    }));
+    return upload.promise.then(metadata => {
+      expect(metadata.name).to.equal('data.bin');
+      expect(stored(transport, 'data.bin').equals(data)).to.be.true;
+      expect(Object.keys(transport.objects).length).to.equal(3);
+    });
+  });
 });
@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import Hasher from '../../src/hasher';
+
+const md5 = data => crypto.createHash('md5').update(data).digest('base64');
+
+describe('Hasher', () => {
+  it('should compute the CRC32C of the data', () => {
+    const hasher = new Hasher();
+    hasher.update(Buffer.from('123456789'));
+    return hasher.digest().then(({ crc32c }) => {
+      const hex = Buffer.from(crc32c, 'base64').toString('hex');
+      expect(hex).to.equal('e3069283');
+    });
+  });
+
+  it('should compute the MD5 of data added in pieces', () => {
+    const data = crypto.randomBytes(100000);
+    const hasher = new Hasher();
+    hasher.update(data.slice(0, 10));
+    hasher.update(data.slice(10, 70));
+    hasher.update(data.slice(70).buffer.slice(data.byteOffset + 70,
+                                              data.byteOffset + data.length));
+    return hasher.digest().then(digest => {
+      expect(digest.md5).to.equal(md5(data));
+    });
+  });
+
+  it('should keep hashing after a digest', () => {
+    const hasher = new Hasher();
+    hasher.update(Buffer.from('abc'));
+    return hasher.digest().then(digest => {
+      expect(digest.md5).to.equal(md5('abc'));
+      hasher.update(Buffer.from('def'));
+      return hasher.digest();
+    }).then(digest => {
+      expect(digest.md5).to.equal(md5('abcdef'));
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { addInterceptor, intercept } from '../../src/interceptors';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run } from '../../src/upload';
+
+const KiB = 1024;
+
+describe('interceptors', () => {
+  let transport;
+  let options;
+
+  beforeEach(() => {
+    transport = new FakeGcsTransport();
+    options = {
+      name: 'data.bin',
+      chunkSize: 256 * KiB,
+      network: false,
+      retry: { baseDelay: 0, jitter: 0 },
+      transport
+    };
+  });
+
+  it('should change the headers of every request', () => {
+    options.interceptors = {
+      beforeRequest: request => {
+        request.headers['X-Trace-Id'] = 'trace';
+      }
+    };
+
+    return run(Buffer.alloc(300 * KiB), options).promise.then(() => {
+      expect(transport.requests.map(request => request.type)).to.deep.equal(
+        ['session', 'chunk', 'chunk']);
+      transport.requests.forEach(request => {
+        expect(request.headers['X-Trace-Id']).to.equal('trace');
+        expect(request.headers).not.to.have.property(
+          'Access-Control-Allow-Origin');
+      });
+    });
+  });
+
+  it('should retry with a new token after a 401 response', () => {
+    let token = 'expired';
+    const refresh = stub().returns(Promise.resolve('fresh'));
+    options.interceptors = {
+      beforeRequest: request => {
+        if (request.type === 'session') {
+          request.headers.Authorization = `Bearer ${token}`;
+        }
+      },
+      afterResponse: ({ response, retry }) => {
+        if (response.status === 401) {
+          return refresh().then(newToken => {
+            token = newToken;
+            return retry();
+          });
+        }
+      }
+    };
+    transport.failNext(401);
+
+    return run(Buffer.alloc(10), options).promise.then(() => {
+      expect(refresh).to.have.been.calledOnce;
+      const [first, second] = transport.requests;
+      expect(first.headers.Authorization).to.equal('Bearer expired');
+      expect(second.type).to.equal('session');
+      expect(second.headers.Authorization).to.equal('Bearer fresh');
+    });
+  });
+
+  it('should report the timing of every request', () => {
+    const afterResponse = spy();
+    options.interceptors = [{ afterResponse }];
+
+    return run(Buffer.alloc(300 * KiB), options).promise.then(() => {
+      expect(afterResponse).to.have.been.calledThrice;
+      const { request, response, duration, startTime, attempt } =
+        afterResponse.secondCall.args[0];
+      expect(request.type).to.equal('chunk');
+      expect(request.headers['Content-Range']).to.equal(
+        `bytes 0-${256 * KiB - 1}/${300 * KiB}`);
+      expect(response.status).to.equal(308);
+      expect(duration).to.be.at.least(0);
+      expect(startTime).to.be.a('number');
+      expect(attempt).to.equal(0);
+    });
+  });
+
+  it('should run global interceptors before the ones of the upload', () => {
+    const calls = [];
+    const remove = addInterceptor({
+      beforeRequest: () => {
+        calls.push('global');
+      }
+    });
+    options.interceptors = {
+      beforeRequest: () => {
+        calls.push('upload');
+      }
+    };
+
+    return run(Buffer.alloc(10), options).promise.then(() => {
+      expect(calls).to.deep.equal(['global', 'upload', 'global', 'upload']);
+      remove();
+      calls.length = 0;
+      return run(Buffer.alloc(10), options).promise;
+    }).then(() => {
+      expect(calls).to.deep.equal(['upload', 'upload']);
+    }, error => {
+      remove();
+      throw error;
+    });
+  });
+
+  it('should not retry forever', () => {
+    const failing = {
+      request: stub().returns(Promise.resolve({ status: 401 }))
+    };
+    const intercepted = intercept(failing, {
+      afterResponse: ({ response, retry }) => {
+        return response.status === 401 ? retry() : response;
+      }
+    });
+
+    return intercepted.request({ method: 'post', url: 'https://session' })
+      .then(response => {
+        expect(response.status).to.equal(401);
+        expect(failing.request).to.have.callCount(4);
+      });
+  });
+
+  it('should report the requests that fail without a response', () => {
+    const onError = spy();
+    let failed = false;
+    options.interceptors = {
+      beforeRequest: request => {
+        if (request.type === 'chunk' && !failed) {
+          failed = true;
+          transport.failNext(0);
+        }
+      },
+      onError
+    };
+
+    return run(Buffer.alloc(10), options).promise.then(() => {
+      expect(onError).to.have.been.calledOnce;
+      const { request, error, duration, startTime, attempt } =
+        onError.firstCall.args[0];
+      expect(request.type).to.equal('chunk');
+      expect(error).to.be.an.instanceof(TypeError);
+      expect(duration).to.be.at.least(0);
+      expect(startTime).to.be.a('number');
+      expect(attempt).to.equal(0);
+    });
+  });
+
+  it('should reject interceptors without hooks', () => {
+    const message = 'Interceptors need a beforeRequest, an afterResponse ' +
+      'or an onError function';
+    expect(() => addInterceptor({})).to.throw(message);
+    options.interceptors = { beforeRequest: 'no' };
+    expect(() => run(Buffer.alloc(10), options)).to.throw(message);
+  });
+});
@@ -0,0 +1,206 @@
+import {
+  ConnectivityMonitor,
+  ManualConnectivityMonitor,
+  isAllowed
+} from '../../src/network';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run, WAITING, UPLOADING } from '../../src/upload';
+
+const KiB = 1024;
+
+const waitFor = (predicate, tries = 50) => {
+  if (predicate()) {
+    return Promise.resolve();
+  }
+  if (!tries) {
+    return Promise.reject(new Error('Timed out'));
+  }
+  return new Promise(resolve => setTimeout(resolve))
+    .then(() => waitFor(predicate, tries - 1));
+};
+
+describe('network', () => {
+  describe('isAllowed', () => {
+    it('should never allow being offline', () => {
+      expect(isAllowed({ online: false })).to.be.false;
+      expect(isAllowed({ online: true })).to.be.true;
+    });
+
+    it('should apply the unmetered policy', () => {
+      expect(isAllowed({ online: true, metered: true }, 'unmetered'))
+        .to.be.false;
+      expect(isAllowed({ online: true, metered: false }, 'unmetered'))
+        .to.be.true;
+    });
+
+    it('should apply the Wi-Fi policy', () => {
+      expect(isAllowed({ online: true, type: 'cellular' }, 'wifi'))
+        .to.be.false;
+      expect(isAllowed({ online: true, type: 'wifi' }, 'wifi')).to.be.true;
+      // Unknown connection types are allowed.
+      expect(isAllowed({ online: true }, 'wifi')).to.be.true;
+    });
+  });
+
+  describe('ConnectivityMonitor', () => {
+    it('should follow the browser connectivity', () => {
+      const handlers = {};
+      const target = {
+        addEventListener: (type, handler) => {
+          handlers[type] = handler;
+        }
+      };
+      const navigator = {
+        onLine: true,
+        connection: { type: 'cellular', addEventListener: () => {} }
+      };
+      const monitor = new ConnectivityMonitor(target, navigator);
+      expect(monitor.status()).to.deep.equal({
+        online: true,
+        type: 'cellular',
+        metered: true
+      });
+
+      const listener = spy();
+      monitor.subscribe(listener);
+      navigator.onLine = false;
+      handlers.offline();
+      expect(listener).to.have.been.calledWith(
+        { online: false, type: 'cellular', metered: true });
+    });
+  });
+
+  describe('uploads', () => {
+    let monitor;
+    let transport;
+
+    beforeEach(() => {
+      monitor = new ManualConnectivityMonitor();
+      transport = new FakeGcsTransport();
+    });
+
+    it('should throw with unknown policies', () => {
+      expect(() => run(Buffer.alloc(10), {
+        network: { monitor, policy: 'fast' }
+      })).to.throw('Unknown network policy fast');
+    });
+
+    it('should wait for the network to request a session', () => {
+      monitor.update({ online: false });
+      const onwaitingfornetwork = spy();
+
+      const upload = run(Buffer.alloc(10), {
+        name: 'data',
+        network: { monitor },
+        transport
+      });
+      upload.onwaitingfornetwork = onwaitingfornetwork;
+
+      return waitFor(() => upload.currentState === WAITING).then(() => {
+        expect(transport.requests).to.be.empty;
+        expect(onwaitingfornetwork).to.have.been.calledWith(
+          { online: false, metered: false });
+        monitor.update({ online: true });
+        return upload.promise;
+      }).then(() => {
+        expect(transport.requests.map(request => request.type))
+          .to.deep.equal(['session', 'chunk']);
+      });
+    });
+
+    it('should wait for the network if it is lost while initiating', () => {
+      const onerror = spy();
+      let requests = 0;
+
+      const upload = run(Buffer.alloc(10), {
+        name: 'data',
+        network: { monitor },
+        transport,
+        interceptors: {
+          beforeRequest: request => {
+            if (request.type === 'session' && !requests++) {
+              monitor.update({ online: false });
+              transport.failNext(0);
+            }
+          }
+        }
+      });
+      upload.onerror = onerror;
+
+      return waitFor(() => upload.currentState === WAITING).then(() => {
+        monitor.update({ online: true });
+        return upload.promise;
+      }).then(() => {
+        expect(transport.requests.map(request => request.type))
+          .to.deep.equal(['session', 'session', 'chunk']);
+        expect(onerror).not.to.have.been.called;
+      });
+    });
+
+    it('should resume from the committed offset once back online', () => {
+      const onerror = spy();
+
+      const upload = run(Buffer.alloc(512 * KiB), {
+        name: 'data',
+        chunkSize: 256 * KiB,
+        network: { monitor },
+        transport
+      });
+      upload.onerror = onerror;
+      let offline = false;
+      upload.onprogress = () => {
+        if (!offline) {
+          // GCS persists the chunk, but its response is ignored.
+          offline = true;
+          monitor.update({ online: false });
+          expect(upload.currentState).to.equal(WAITING);
+        }
+      };
+
+      return waitFor(() => upload.currentState === WAITING).then(() => {
+        monitor.update({ online: true });
+        expect(upload.currentState).to.equal(UPLOADING);
+        return upload.promise;
+      }).then(() => {
+        const chunks = transport.requests.filter(request => {
+          return request.method === 'PUT';
+        });
+        expect(chunks.map(request => request.headers['Content-Range']))
+          .to.deep.equal([
+            `bytes 0-${256 * KiB - 1}/${512 * KiB}`,
+            `bytes */${512 * KiB}`,
+            `bytes ${256 * KiB}-${512 * KiB - 1}/${512 * KiB}`
+          ]);
+        expect(onerror).not.to.have.been.called;
+      });
+    });
+
+    it('should not report failures while offline', () => {
+      const onerror = spy();
+
+      const upload = run(Buffer.alloc(10), {
+        name: 'data',
+        network: { monitor, policy: 'wifi' },
+        transport
+      });
+      upload.onerror = onerror;
+      let changed = false;
+      upload.onstatechange = ({ next }) => {
+        if (next === UPLOADING && !changed) {
+          // The connection changes without notice.
+          changed = true;
+          monitor.current = { online: true, type: 'cellular' };
+          transport.failNext(0);
+        }
+      };
+
+      return waitFor(() => upload.currentState === WAITING).then(() => {
+        expect(upload.attempts).to.equal(0);
+        monitor.update({ type: 'wifi' });
+        return upload.promise;
+      }).then(() => {
+        expect(onerror).not.to.have.been.called;
+      });
+    });
+  });
+});
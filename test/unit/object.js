@@ -0,0 +1,112 @@
+import { getObjectName } from '../../src/object';
+import { run, resumeOrRun } from '../../src/upload';
+import { MemoryStore } from '../../src/session-store';
+import { FakeGcsTransport } from '../../src/transports/index';
+
+const KiB = 1024;
+
+describe('object options', () => {
+  it('should name the object after the destination', () => {
+    expect(getObjectName('a.txt')).to.equal('a.txt');
+    expect(getObjectName('a.txt', 'uploads/')).to.equal('uploads/a.txt');
+    expect(getObjectName('a.txt', 'uploads/b.txt')).to.equal('uploads/b.txt');
+  });
+
+  describe('session request', () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should forward the object options to the session server', () => {
+      global.fetch = stub().returns(new Promise(() => {}));
+
+      const upload = run(new File(['hello'], 'hello.txt'), {
+        destination: 'texts/',
+        metadata: { owner: 'me' },
+        cacheControl: 'no-cache',
+        contentDisposition: 'attachment',
+        ifGenerationMatch: 0
+      });
+
+      return new Promise(resolve => setTimeout(resolve)).then(() => {
+        const [endpoint, { body }] = fetch.firstCall.args;
+        expect(endpoint).to.contain('sessionuris');
+        expect(JSON.parse(body)).to.deep.equal({
+          bucketFile: 'texts/hello.txt',
+          contentType: 'text/plain',
+          metadata: { owner: 'me' },
+          cacheControl: 'no-cache',
+          contentDisposition: 'attachment',
+          ifGenerationMatch: 0
+        });
+        expect(upload.contentType).to.equal('text/plain');
+      });
+    });
+
+    it('should give the object to session providers', () => {
+      const sessionProvider = stub().returns(new Promise(() => {}));
+      run(Buffer.from('GIF89a...'), { name: 'image', sessionProvider });
+
+      return new Promise(resolve => setTimeout(resolve)).then(() => {
+        const object = sessionProvider.firstCall.args[1];
+        expect(object).to.deep.equal({
+          name: 'image',
+          contentType: 'image/gif'
+        });
+      });
+    });
+  });
+
+  describe('resumed sessions', () => {
+    let options;
+
+    beforeEach(() => {
+      options = {
+        name: 'd.bin',
+        chunkSize: 256 * KiB,
+        network: false,
+        store: new MemoryStore(),
+        transport: new FakeGcsTransport()
+      };
+    });
+
+    /**
+     * Start an upload and pause it once its first chunk is confirmed.
+     */
+    const startAndPause = (data, extra) => {
+      const upload = run(data, Object.assign({}, options, extra));
+      return new Promise(resolve => {
+        upload.onprogress = () => {
+          upload.pause();
+          resolve(upload);
+        };
+      });
+    };
+
+    it('should not resume the session of another object', () => {
+      const data = Buffer.alloc(600 * KiB, 1);
+      const { transport } = options;
+
+      return startAndPause(data, { destination: 'a/' }).then(() => {
+        return resumeOrRun(data, Object.assign({}, options, {
+          destination: 'b/'
+        })).promise;
+      }).then(metadata => {
+        expect(metadata.name).to.equal('b/d.bin');
+        expect(Object.keys(transport.sessions).length).to.equal(2);
+        expect(transport.objects['a/d.bin']).to.be.undefined;
+      });
+    });
+
+    it('should tell apart Buffers of the same name and size', () => {
+      const { transport } = options;
+
+      return startAndPause(Buffer.alloc(600 * KiB, 1)).then(() => {
+        return resumeOrRun(Buffer.alloc(600 * KiB, 2), options).promise;
+      }).then(() => {
+        expect(Object.keys(transport.sessions).length).to.equal(2);
+        expect(transport.objects['d.bin'].data[0]).to.equal(2);
+      });
+    });
+  });
+});
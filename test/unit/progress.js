@@ -0,0 +1,52 @@
+import ProgressTracker from '../../src/progress';
+
+describe('ProgressTracker', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = useFakeTimers();
+  });
+
+  it('should report sent, pending, total and percent', () => {
+    const tracker = new ProgressTracker(1000);
+    const progress = tracker.update(250);
+    expect(progress.sent).to.equal(250);
+    expect(progress.pending).to.equal(750);
+    expect(progress.total).to.equal(1000);
+    expect(progress.percent).to.equal(25);
+  });
+
+  it('should compute the speed and the ETA', () => {
+    const tracker = new ProgressTracker(1000);
+    clock.tick(1000);
+    const progress = tracker.update(100);
+    expect(progress.bytesPerSecond).to.equal(100);
+    expect(progress.eta).to.equal(9);
+  });
+
+  it('should smooth the speed', () => {
+    const tracker = new ProgressTracker(1000, 0.5);
+    clock.tick(1000);
+    tracker.update(100);
+    clock.tick(1000);
+    const progress = tracker.update(400);
+    expect(progress.bytesPerSecond).to.equal(200);
+  });
+
+  it('should not count the time before a reset', () => {
+    const tracker = new ProgressTracker(1000);
+    clock.tick(1000);
+    tracker.update(100);
+    clock.tick(60000);
+    tracker.reset();
+    clock.tick(1000);
+    expect(tracker.update(200).bytesPerSecond).to.equal(100);
+  });
+
+  it('should have no ETA until the speed is known', () => {
+    const tracker = new ProgressTracker(1000);
+    expect(tracker.progress.eta).to.be.null;
+    clock.tick(1000);
+    expect(tracker.update(1000).eta).to.equal(0);
+  });
+});
@@ -0,0 +1,128 @@
+import UploadQueue from '../../src/queue';
+
+// Required instead of imported so `run` can be stubbed.
+const upload = require('../../src/upload');
+
+const createFakeUpload = () => {
+  const listeners = {};
+  const fake = {
+    pause: spy(),
+    resume: spy(),
+    cancel: spy(() => {
+      fake.currentState = upload.CANCELLED;
+      fake.dispatch('cancel');
+    }),
+    currentState: upload.UPLOADING,
+    addEventListener(type, listener) {
+      listeners[type] = listener;
+    },
+    dispatch(type, detail) {
+      listeners[type](detail);
+    }
+  };
+  return fake;
+};
+
+const tick = () => new Promise(resolve => setTimeout(resolve));
+
+describe('UploadQueue', () => {
+  let uploads;
+
+  beforeEach(() => {
+    uploads = [];
+    stub(upload, 'run', () => {
+      const fake = createFakeUpload();
+      uploads.push(fake);
+      return fake;
+    });
+  });
+
+  const files = count => {
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      list.push({ name: `file${i}`, size: 100 });
+    }
+    return list;
+  };
+
+  it('should run at most `concurrency` uploads at once', () => {
+    const queue = new UploadQueue(files(3), { concurrency: 2 });
+    return tick().then(() => {
+      expect(uploads).to.have.length(2);
+      uploads[0].dispatch('done');
+      expect(uploads).to.have.length(3);
+      expect(queue.items[0].state).to.equal(upload.DONE);
+    });
+  });
+
+  it('should start items by priority', () => {
+    const queue = new UploadQueue(files(2), { concurrency: 1 });
+    const [urgent] = queue.add({ name: 'urgent', size: 10 }, 1);
+    return tick().then(() => {
+      expect(upload.run).to.have.been.calledOnce;
+      expect(upload.run.firstCall.args[0]).to.equal(urgent.file);
+    });
+  });
+
+  it('should start items by position once moved', () => {
+    const queue = new UploadQueue(files(3), { concurrency: 1 });
+    const last = queue.items[2];
+    queue.move(last, 0);
+    return tick().then(() => {
+      expect(upload.run.firstCall.args[0]).to.equal(last.file);
+    });
+  });
+
+  it('should free the slot of paused items and resume them later', () => {
+    const queue = new UploadQueue(files(2), { concurrency: 1 });
+    return tick().then(() => {
+      const first = queue.items[0];
+      first.pause();
+      expect(uploads[0].pause).to.have.been.calledOnce;
+      expect(uploads).to.have.length(2);
+      first.resume();
+      uploads[1].dispatch('done');
+      expect(uploads[0].resume).to.have.been.calledOnce;
+    });
+  });
+
+  it('should report aggregate progress', () => {
+    const queue = new UploadQueue(files(2));
+    const onprogress = spy();
+    queue.onprogress = onprogress;
+    return tick().then(() => {
+      uploads[0].dispatch('progress', { sent: 50, total: 100 });
+      expect(onprogress).to.have.been.calledWith({ sent: 50, total: 200 });
+      uploads[1].dispatch('done');
+      expect(onprogress).to.have.been.calledWith({ sent: 150, total: 200 });
+    });
+  });
+
+  it('should take the sizes from the uploads', () => {
+    const queue = new UploadQueue([Buffer.alloc(100), '/path/to/file.bin']);
+    const onprogress = spy();
+    queue.onprogress = onprogress;
+    expect(queue.progress).to.deep.equal({ sent: 0, total: null });
+
+    return tick().then(() => {
+      uploads[0].size = 100;
+      uploads[1].size = 300;
+      uploads[1].dispatch('progress', { sent: 100, total: 300 });
+      expect(onprogress).to.have.been.calledWith({ sent: 100, total: 400 });
+      uploads[1].dispatch('done');
+      expect(onprogress).to.have.been.calledWith({ sent: 300, total: 400 });
+    });
+  });
+
+  it('should fire ondone once every item is finished', () => {
+    const queue = new UploadQueue(files(2));
+    const ondone = spy();
+    queue.ondone = ondone;
+    return tick().then(() => {
+      uploads[0].dispatch('done');
+      queue.cancel();
+      expect(queue.items[1].state).to.equal(upload.CANCELLED);
+      expect(ondone).to.have.been.calledOnce;
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import { RetryPolicy, parseRetryAfter } from '../../src/retry';
+
+describe('RetryPolicy', () => {
+  it('should retry network errors and retryable statuses', () => {
+    const policy = new RetryPolicy();
+    expect(policy.isRetryable(new TypeError('Failed to fetch'))).to.be.true;
+    expect(policy.isRetryable({ status: 408 })).to.be.true;
+    expect(policy.isRetryable({ status: 429 })).to.be.true;
+    expect(policy.isRetryable({ status: 503 })).to.be.true;
+    expect(policy.isRetryable({ status: 403 })).to.be.false;
+  });
+
+  it('should accept an array of retryable statuses', () => {
+    const policy = new RetryPolicy({ retryableStatuses: [503] });
+    expect(policy.isRetryable({ status: 503 })).to.be.true;
+    expect(policy.isRetryable({ status: 500 })).to.be.false;
+  });
+
+  it('should back off exponentially up to the max delay', () => {
+    const policy = new RetryPolicy({
+      baseDelay: 100,
+      maxDelay: 1000,
+      jitter: 0
+    });
+    expect(policy.delay(1)).to.equal(100);
+    expect(policy.delay(2)).to.equal(200);
+    expect(policy.delay(3)).to.equal(400);
+    expect(policy.delay(10)).to.equal(1000);
+  });
+
+  it('should randomize the delay with jitter', () => {
+    const policy = new RetryPolicy({ baseDelay: 100, jitter: 0.5 });
+    stub(Math, 'random').returns(1);
+    expect(policy.delay(1)).to.equal(50);
+  });
+
+  it('should respect Retry-After', () => {
+    const policy = new RetryPolicy({ baseDelay: 100 });
+    expect(policy.delay(1, 5000)).to.equal(5000);
+  });
+
+  it('should be exhausted after max attempts', () => {
+    const policy = new RetryPolicy({ maxAttempts: 3 });
+    expect(policy.isExhausted(2)).to.be.false;
+    expect(policy.isExhausted(3)).to.be.true;
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('should parse seconds', () => {
+    expect(parseRetryAfter('120')).to.equal(120000);
+  });
+
+  it('should parse HTTP dates', () => {
+    const date = new Date(Date.now() + 60000).toUTCString();
+    expect(parseRetryAfter(date)).to.be.within(58000, 60000);
+  });
+
+  it('should ignore missing values', () => {
+    expect(parseRetryAfter(null)).to.be.undefined;
+  });
+});
@@ -0,0 +1,122 @@
+import { MemoryStore, isExpired } from '../../src/session-store';
+import { fingerprintKey } from '../../src/fingerprint';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run, resumeOrRun } from '../../src/upload';
+
+const KiB = 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('MemoryStore', () => {
+  it('should store, get and remove records', () => {
+    const store = new MemoryStore();
+    const record = { sessionUri: 'https://session', offset: 1024 };
+    return store.set('key', record).then(() => {
+      return store.get('key');
+    }).then(stored => {
+      expect(stored).to.deep.equal(record);
+      return store.remove('key');
+    }).then(() => {
+      return store.get('key');
+    }).then(stored => {
+      expect(stored).to.be.undefined;
+    });
+  });
+});
+
+describe('isExpired', () => {
+  it('should expire sessions older than a week', () => {
+    const day = 24 * 60 * 60 * 1000;
+    expect(isExpired({ createdAt: Date.now() - day })).to.be.false;
+    expect(isExpired({ createdAt: Date.now() - 8 * day })).to.be.true;
+    expect(isExpired({})).to.be.true;
+  });
+});
+
+describe('fingerprintKey', () => {
+  it('should only include the defined fingerprint values', () => {
+    const fingerprint = { name: 'a.txt', size: 3, lastModified: 10 };
+    expect(fingerprintKey(fingerprint)).to.equal('a.txt:3:10');
+    fingerprint.hash = 'abc';
+    expect(fingerprintKey(fingerprint)).to.equal('a.txt:3:10:abc');
+  });
+});
+
+describe('resumeOrRun', () => {
+  const data = Buffer.alloc(600 * KiB, 7);
+  let store;
+  let transport;
+  let options;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    transport = new FakeGcsTransport();
+    options = {
+      name: 'data.bin',
+      chunkSize: 256 * KiB,
+      network: false,
+      store,
+      transport
+    };
+  });
+
+  /**
+   * Start an upload and pause it once GCS confirms its first chunk, like
+   * a page closed mid-upload.
+   */
+  const startAndPause = () => {
+    const upload = run(data, options);
+    return new Promise(resolve => {
+      upload.onprogress = () => {
+        upload.pause();
+        resolve(upload);
+      };
+    });
+  };
+
+  const ranges = () => transport.requests.filter(request => {
+    return request.method === 'PUT';
+  }).map(request => request.headers['Content-Range']);
+
+  it('should resume from the offset confirmed by GCS', () => {
+    return startAndPause().then(() => {
+      return resumeOrRun(data, options).promise;
+    }).then(() => {
+      expect(Object.keys(transport.sessions).length).to.equal(1);
+      expect(ranges()).to.deep.equal([
+        `bytes 0-${256 * KiB - 1}/${600 * KiB}`,
+        `bytes */${600 * KiB}`,
+        `bytes ${256 * KiB}-${512 * KiB - 1}/${600 * KiB}`,
+        `bytes ${512 * KiB}-${600 * KiB - 1}/${600 * KiB}`
+      ]);
+      expect(transport.objects['data.bin'].data.byteLength).to.equal(
+        600 * KiB);
+    });
+  });
+
+  it('should start a new session if the stored one expired', () => {
+    return startAndPause().then(upload => {
+      store.records[upload.sessionKey].createdAt = Date.now() - 8 * DAY;
+      return resumeOrRun(data, options).promise;
+    }).then(() => {
+      expect(Object.keys(transport.sessions).length).to.equal(2);
+      expect(ranges()[1]).to.equal(`bytes 0-${256 * KiB - 1}/${600 * KiB}`);
+    });
+  });
+
+  [404, 410].forEach(status => {
+    it(`should start over on a ${status} answer to the status query`, () => {
+      return startAndPause().then(() => {
+        transport.failNext(status);
+        return resumeOrRun(data, options).promise;
+      }).then(() => {
+        expect(Object.keys(transport.sessions).length).to.equal(2);
+        expect(ranges().slice(1, 3)).to.deep.equal([
+          `bytes */${600 * KiB}`,
+          `bytes 0-${256 * KiB - 1}/${600 * KiB}`
+        ]);
+        expect(transport.objects['data.bin'].data.byteLength).to.equal(
+          600 * KiB);
+      });
+    });
+  });
+});
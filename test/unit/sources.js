@@ -0,0 +1,284 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import util from 'util';
+import {
+  createSource,
+  BlobSource,
+  BufferSource,
+  FilePathSource,
+  StreamSource
+} from '../../src/sources/index';
+import { toBytes } from '../../src/sources/bytes';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run } from '../../src/upload';
+
+const KiB = 1024;
+
+const text = chunk => Buffer.from(chunk.data).toString();
+
+const readableFrom = pieces => {
+  const stream = new Readable({ read() {} });
+  pieces.forEach(piece => stream.push(piece));
+  stream.push(null);
+  return stream;
+};
+
+// Minimal WHATWG ReadableStream, which Node.js lacks.
+const readableStreamFrom = pieces => {
+  const reader = {
+    read: () => Promise.resolve(pieces.length
+      ? { done: false, value: pieces.shift() }
+      : { done: true }),
+    cancel: spy(() => Promise.resolve())
+  };
+  return { getReader: () => reader, reader };
+};
+
+const asyncIterableFrom = pieces => ({
+  [Symbol.asyncIterator]: () => ({
+    next: () => Promise.resolve(pieces.length
+      ? { done: false, value: pieces.shift() }
+      : { done: true })
+  })
+});
+
+const ranges = transport => transport.requests
+  .filter(request => request.method === 'PUT')
+  .map(request => request.headers['Content-Range']);
+
+describe('sources', () => {
+  describe('createSource', () => {
+    it('should pick the source for each kind of input', () => {
+      const file = path.join(os.tmpdir(), 'gcs-uploader-create-source.txt');
+      fs.writeFileSync(file, 'data');
+      try {
+        expect(createSource(new Blob(['data'])))
+          .to.be.an.instanceof(BlobSource);
+        expect(createSource(Buffer.from('data')))
+          .to.be.an.instanceof(BufferSource);
+        expect(createSource(file)).to.be.an.instanceof(FilePathSource);
+        expect(createSource(readableFrom(['data'])))
+          .to.be.an.instanceof(StreamSource);
+        expect(createSource(readableStreamFrom([])))
+          .to.be.an.instanceof(StreamSource);
+        expect(createSource(asyncIterableFrom([])))
+          .to.be.an.instanceof(StreamSource);
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should throw for unsupported inputs', () => {
+      expect(() => createSource({})).to.throw('Unsupported File API');
+    });
+  });
+
+  describe('BlobSource', () => {
+    it('should read ranges of a File', () => {
+      const file = new File(['hello world'], 'hello.txt', {
+        type: 'text/plain'
+      });
+      const source = new BlobSource(file);
+      expect(source.name).to.equal('hello.txt');
+      expect(source.size).to.equal(11);
+      expect(source.type).to.equal('text/plain');
+      return source.read(6, 20).then(chunk => {
+        expect(chunk.size).to.equal(5);
+        expect(text(chunk)).to.equal('world');
+      });
+    });
+  });
+
+  describe('BufferSource', () => {
+    it('should read ranges of a Buffer', () => {
+      const source = new BufferSource(Buffer.from('hello world'), {
+        name: 'hello.txt'
+      });
+      expect(source.name).to.equal('hello.txt');
+      expect(source.size).to.equal(11);
+      return source.read(0, 5).then(chunk => {
+        expect(text(chunk)).to.equal('hello');
+      });
+    });
+  });
+
+  describe('FilePathSource', () => {
+    const file = path.join(os.tmpdir(), 'gcs-uploader-file-path.txt');
+
+    beforeEach(() => fs.writeFileSync(file, 'hello world'));
+    afterEach(() => fs.unlinkSync(file));
+
+    it('should read ranges of a file on disk', () => {
+      const source = new FilePathSource(file);
+      expect(source.name).to.equal('gcs-uploader-file-path.txt');
+      expect(source.size).to.equal(11);
+      return source.read(6, 20).then(chunk => {
+        expect(chunk.size).to.equal(5);
+        expect(text(chunk)).to.equal('world');
+        source.close();
+      });
+    });
+  });
+
+  describe('StreamSource', () => {
+    it('should only know its size once the stream ends', () => {
+      const source = StreamSource.fromNodeStream(
+        readableFrom(['hello', ' ', 'world']));
+      expect(source.size).to.equal(null);
+      return source.read(0, 5).then(chunk => {
+        expect(text(chunk)).to.equal('hello');
+        expect(source.size).to.equal(null);
+        return source.read(5, 20);
+      }).then(chunk => {
+        expect(text(chunk)).to.equal(' world');
+        expect(source.size).to.equal(11);
+      });
+    });
+
+    it('should read the last chunk again', () => {
+      const source = StreamSource.fromNodeStream(
+        readableFrom(['hello', ' world']));
+      return source.read(0, 8).then(() => source.read(0, 8)).then(chunk => {
+        expect(text(chunk)).to.equal('hello wo');
+        return source.read(8, 16);
+      }).then(() => source.read(4, 8)).then(() => {
+        throw new Error('Should have been rejected');
+      }, error => {
+        expect(error.message).to.contain('discarded');
+      });
+    });
+
+    it('should read a ReadableStream of bytes', () => {
+      const source = StreamSource.fromReadableStream(readableStreamFrom([
+        new Uint8Array([1, 2, 3]),
+        new Uint8Array([4, 5])
+      ]));
+      return source.read(0, 4).then(chunk => {
+        expect(Array.from(chunk.data)).to.deep.equal([1, 2, 3, 4]);
+        return source.read(4, 8);
+      }).then(chunk => {
+        expect(Array.from(chunk.data)).to.deep.equal([5]);
+        expect(source.size).to.equal(5);
+      });
+    });
+
+    it('should cancel a ReadableStream closed before its end', () => {
+      const stream = readableStreamFrom([new Uint8Array(10)]);
+      const source = StreamSource.fromReadableStream(stream);
+      return source.read(0, 4).then(() => {
+        source.close();
+        expect(stream.reader.cancel).to.have.been.calledOnce;
+      });
+    });
+
+    it('should read an async iterable of Blobs', () => {
+      const source = StreamSource.fromAsyncIterable(asyncIterableFrom([
+        new Blob(['hello ']),
+        new Blob(['world'])
+      ]));
+      return source.read(0, 100).then(chunk => {
+        expect(text(chunk)).to.equal('hello world');
+        expect(source.size).to.equal(11);
+      });
+    });
+  });
+
+  describe('toBytes', () => {
+    const hadTextEncoder = 'TextEncoder' in global;
+    const { TextEncoder } = global;
+
+    afterEach(() => {
+      if (hadTextEncoder) {
+        global.TextEncoder = TextEncoder;
+      } else {
+        delete global.TextEncoder;
+      }
+    });
+
+    it('should encode strings with TextEncoder', () => {
+      global.TextEncoder = util.TextEncoder;
+      const bytes = toBytes('héllo');
+      expect(Buffer.isBuffer(bytes)).to.be.false;
+      expect(Buffer.from(bytes).toString()).to.equal('héllo');
+    });
+
+    it('should encode strings without TextEncoder', () => {
+      delete global.TextEncoder;
+      expect(toBytes('héllo').toString()).to.equal('héllo');
+    });
+  });
+
+  describe('uploading a stream', () => {
+    let transport;
+
+    beforeEach(() => {
+      transport = new FakeGcsTransport();
+    });
+
+    it('should send an unknown total size until the last chunk', () => {
+      const data = Buffer.alloc(300 * KiB, 1);
+
+      const upload = run(readableFrom([data.slice(0, 100 * KiB),
+                                       data.slice(100 * KiB)]), {
+        name: 'data.bin',
+        chunkSize: 256 * KiB,
+        network: false,
+        transport
+      });
+
+      return upload.promise.then(metadata => {
+        expect(metadata.name).to.equal('data.bin');
+        expect(metadata.size).to.equal(String(300 * KiB));
+        expect(ranges(transport)).to.deep.equal([
+          'bytes 0-262143/*',
+          'bytes 262144-307199/307200'
+        ]);
+        expect(upload.size).to.equal(300 * KiB);
+      });
+    });
+
+    it('should buffer Blobs into 256 KiB chunks', () => {
+      const blobs = [];
+      for (let i = 0; i < 10; i++) {
+        blobs.push(new Blob([Buffer.alloc(30 * KiB)]));
+      }
+      const upload = run(asyncIterableFrom(blobs), {
+        name: 'recording.webm',
+        contentType: 'video/webm',
+        chunkSize: 256 * KiB,
+        network: false,
+        transport
+      });
+
+      return upload.promise.then(metadata => {
+        expect(ranges(transport)).to.deep.equal([
+          'bytes 0-262143/*',
+          'bytes 262144-307199/307200'
+        ]);
+        const [first] = transport.requests.filter(request => {
+          return request.method === 'PUT';
+        });
+        expect(first.headers['Content-Type']).to.equal('video/webm');
+        expect(metadata.size).to.equal(String(300 * KiB));
+      });
+    });
+
+    it('should finish with an empty request at a chunk boundary', () => {
+      const upload = run(readableFrom([Buffer.alloc(256 * KiB)]), {
+        chunkSize: 256 * KiB,
+        network: false,
+        transport
+      });
+
+      return upload.promise.then(metadata => {
+        expect(ranges(transport)).to.deep.equal([
+          'bytes 0-262143/*',
+          'bytes */262144'
+        ]);
+        expect(metadata.size).to.equal(String(256 * KiB));
+      });
+    });
+  });
+});
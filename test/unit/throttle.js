@@ -0,0 +1,166 @@
+import Throttle from '../../src/throttle';
+import { AbortError } from '../../src/errors';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run, PAUSED } from '../../src/upload';
+
+// Lets pending Promise callbacks run, since fake timers don't.
+const flush = (times = 50) => {
+  return times ? Promise.resolve().then(() => flush(times - 1))
+               : Promise.resolve();
+};
+
+describe('Throttle', () => {
+  let clock;
+
+  beforeEach(() => {
+    clock = useFakeTimers();
+  });
+
+  it('should not wait without a limit', () => {
+    const throttle = new Throttle();
+    const taken = spy();
+    throttle.take(1000).then(taken);
+    throttle.take(1000).then(taken);
+    return flush().then(() => {
+      expect(taken).to.have.been.calledTwice;
+    });
+  });
+
+  it('should wait until the debt is paid', () => {
+    const throttle = new Throttle(1000);
+    const taken = spy();
+    throttle.take(2000).then(taken);
+    throttle.take(10).then(taken);
+    return flush().then(() => {
+      expect(taken).to.have.been.calledOnce;
+      clock.tick(1999);
+      return flush();
+    }).then(() => {
+      expect(taken).to.have.been.calledOnce;
+      clock.tick(1);
+      return flush();
+    }).then(() => {
+      expect(taken).to.have.been.calledTwice;
+    });
+  });
+
+  it('should apply rate changes to the waiting data', () => {
+    const throttle = new Throttle(1000);
+    const taken = spy();
+    throttle.take(2000);
+    throttle.take(10).then(taken);
+    throttle.setRate(2000);
+    clock.tick(1000);
+    return flush().then(() => {
+      expect(taken).to.have.been.calledOnce;
+    });
+  });
+
+  it('should drop the data of an owner', () => {
+    const throttle = new Throttle(1000);
+    const taken = spy();
+    const dropped = spy();
+    throttle.take(2000, 'first');
+    throttle.take(10, 'first').then(taken, dropped);
+    throttle.take(10, 'second').then(taken, dropped);
+    throttle.drop('first');
+    return flush().then(() => {
+      expect(dropped).to.have.been.calledOnce;
+      expect(dropped.firstCall.args[0]).to.be.an.instanceof(AbortError);
+      clock.tick(2000);
+      return flush();
+    }).then(() => {
+      expect(taken).to.have.been.calledOnce;
+      expect(throttle.waiting).to.be.empty;
+    });
+  });
+
+  it('should reject invalid rates', () => {
+    expect(() => new Throttle(0)).to.throw('Invalid rate 0');
+    expect(() => new Throttle(1000).setRate('fast')).to.throw('Invalid rate');
+  });
+
+  describe('uploads', () => {
+    let transport;
+
+    const chunks = () => transport.requests.filter(request => {
+      return request.type === 'chunk';
+    });
+
+    beforeEach(() => {
+      transport = new FakeGcsTransport();
+    });
+
+    it('should share the budget between uploads', () => {
+      const throttle = new Throttle(10);
+
+      const options = { name: 'data', throttle, transport };
+      const first = run(Buffer.alloc(10), options);
+      const second = run(Buffer.alloc(10), options);
+      return flush().then(() => {
+        expect(chunks().length).to.equal(1);
+        clock.tick(1000);
+        return Promise.all([first.promise, second.promise]);
+      }).then(() => {
+        expect(chunks().length).to.equal(2);
+      });
+    });
+
+    it('should change the rate limit while uploading', () => {
+      const upload = run(Buffer.alloc(512 * 1024), {
+        name: 'data',
+        chunkSize: 256 * 1024,
+        maxBytesPerSecond: 1024,
+        transport
+      });
+      return flush().then(() => {
+        expect(chunks().length).to.equal(1);
+        // The second chunk had to wait for 256 seconds.
+        upload.setRateLimit(256 * 1024);
+        clock.tick(1000);
+        return upload.promise;
+      }).then(() => {
+        expect(chunks().length).to.equal(2);
+      });
+    });
+
+    it('should send rate-limited data in small requests', () => {
+      clock.restore();
+      const upload = run(Buffer.alloc(600 * 1024), {
+        name: 'data',
+        chunkSize: 1024 * 1024,
+        maxBytesPerSecond: 100 * 1024 * 1024,
+        transport
+      });
+      return upload.promise.then(() => {
+        expect(chunks().map(request => request.headers['Content-Range']))
+          .to.deep.equal([
+            'bytes 0-262143/614400',
+            'bytes 262144-524287/614400',
+            'bytes 524288-614399/614400'
+          ]);
+      });
+    });
+
+    it('should stop waiting once paused or cancelled', () => {
+      const throttle = new Throttle(10);
+
+      const options = { name: 'data', throttle, transport };
+      run(Buffer.alloc(10), options);
+      const second = run(Buffer.alloc(10), options);
+      const third = run(Buffer.alloc(10), options);
+      return flush().then(() => {
+        expect(throttle.waiting.length).to.equal(2);
+        second.pause();
+        expect(second.currentState).to.equal(PAUSED);
+        expect(throttle.waiting.length).to.equal(1);
+        third.cancel();
+        expect(throttle.waiting).to.be.empty;
+        clock.tick(1000);
+        return flush();
+      }).then(() => {
+        expect(chunks().length).to.equal(1);
+      });
+    });
+  });
+});
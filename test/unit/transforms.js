@@ -0,0 +1,126 @@
+import zlib from 'zlib';
+import { gzip, resizeImage, applyTransforms } from '../../src/transforms/index';
+import BufferSource from '../../src/sources/buffer';
+import { FakeGcsTransport } from '../../src/transports/index';
+import { run } from '../../src/upload';
+
+const KiB = 1024;
+
+const readAll = (source, chunkSize) => {
+  const pieces = [];
+  const next = offset => source.read(offset, offset + chunkSize).then(chunk => {
+    if (!chunk.size) {
+      return Buffer.concat(pieces);
+    }
+    pieces.push(Buffer.from(chunk.data));
+    return next(offset + chunk.size);
+  });
+  return next(0);
+};
+
+describe('transforms', () => {
+  describe('gzip', () => {
+    it('should compress the data', () => {
+      const data = Buffer.from('hello world '.repeat(1000));
+      const source = applyTransforms(new BufferSource(data, {
+        name: 'hello.txt',
+        type: 'text/plain'
+      }), [gzip()]);
+
+      expect(source.size).to.equal(null);
+      expect(source.type).to.equal('text/plain');
+      expect(source.contentEncoding).to.equal('gzip');
+      return readAll(source, 100).then(compressed => {
+        expect(compressed.length).to.be.below(data.length);
+        expect(zlib.gunzipSync(compressed).equals(data)).to.equal(true);
+        expect(source.size).to.equal(compressed.length);
+      });
+    });
+
+    it('should not read the data before the upload starts', () => {
+      const source = new BufferSource(Buffer.from('data'));
+      const read = spy(source, 'read');
+      gzip()(source);
+      expect(read).not.to.have.been.called;
+    });
+  });
+
+  describe('resizeImage', () => {
+    let drawImage;
+
+    beforeEach(() => {
+      drawImage = spy();
+      global.createImageBitmap = () => {
+        return Promise.resolve({ width: 4000, height: 3000 });
+      };
+      global.OffscreenCanvas = function(width, height) {
+        this.width = width;
+        this.height = height;
+        this.getContext = () => ({ drawImage });
+        this.convertToBlob = ({ type }) => {
+          return Promise.resolve(new Blob(['resized'], { type }));
+        };
+      };
+    });
+
+    afterEach(() => {
+      delete global.createImageBitmap;
+      delete global.OffscreenCanvas;
+    });
+
+    it('should shrink images keeping their aspect ratio', () => {
+      const source = resizeImage({ maxWidth: 1000, type: 'image/webp' })(
+        new BufferSource(Buffer.from('photo'), { type: 'image/jpeg' }));
+      expect(source.type).to.equal('image/webp');
+      return readAll(source, 100).then(data => {
+        expect(data.toString()).to.equal('resized');
+        expect(drawImage.firstCall.args.slice(3)).to.deep.equal([1000, 750]);
+      });
+    });
+
+    it('should keep images that are small enough', () => {
+      const source = resizeImage({ maxWidth: 5000 })(
+        new BufferSource(Buffer.from('photo'), { type: 'image/jpeg' }));
+      return readAll(source, 100).then(data => {
+        expect(data.toString()).to.equal('photo');
+        expect(drawImage).not.to.have.been.called;
+      });
+    });
+
+    it('should not transform other types of data', () => {
+      const original = new BufferSource(Buffer.from('text'), {
+        type: 'text/plain'
+      });
+      expect(resizeImage({ maxWidth: 10 })(original)).to.equal(original);
+    });
+  });
+
+  describe('uploading transformed data', () => {
+    it('should upload the compressed data with its encoding', () => {
+      const data = Buffer.from('log line\n'.repeat(100 * KiB));
+      const transport = new FakeGcsTransport();
+      const buildBody = spy((file, object) => ({ bucketFile: object.name }));
+
+      const upload = run(data, {
+        name: 'app.log',
+        session: { buildBody },
+        network: false,
+        transport,
+        transforms: [gzip()]
+      });
+
+      return upload.promise.then(() => {
+        const object = buildBody.firstCall.args[1];
+        expect(object.contentEncoding).to.equal('gzip');
+        // Guessed from the original data, not the compressed one.
+        expect(object.contentType).to.equal('application/octet-stream');
+
+        const stored = Buffer.from(transport.objects['app.log'].data);
+        const size = stored.byteLength;
+        expect(transport.requests[1].headers['Content-Range']).to.equal(
+          `bytes 0-${size - 1}/${size}`);
+        expect(zlib.gunzipSync(stored).equals(data)).to.equal(true);
+      });
+    });
+  });
+});
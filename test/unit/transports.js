@@ -0,0 +1,192 @@
+import http from 'http';
+import {
+  defaultTransport,
+  FetchTransport,
+  XhrTransport,
+  NodeTransport,
+  FakeGcsTransport
+} from '../../src/transports/index';
+import { run } from '../../src/upload';
+
+describe('transports', () => {
+  describe('defaultTransport', () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should use fetch if available', () => {
+      global.fetch = stub().returns(Promise.resolve({ status: 200 }));
+
+      return defaultTransport.request({
+        method: 'put',
+        url: 'https://session',
+        headers: { 'Content-Range': 'bytes */10' }
+      }).then(response => {
+        expect(response.status).to.equal(200);
+        expect(fetch).to.have.been.calledWith('https://session', {
+          method: 'put',
+          headers: { 'Content-Range': 'bytes */10' },
+          body: undefined,
+          signal: undefined,
+          mode: 'cors'
+        });
+      });
+    });
+  });
+
+  describe('FetchTransport', () => {
+    it('should use the fetch function given', () => {
+      const fetchFunction = stub().returns(Promise.resolve({ status: 308 }));
+      const transport = new FetchTransport(fetchFunction);
+
+      return transport.request({ method: 'put', url: 'https://session' })
+        .then(response => {
+          expect(response.status).to.equal(308);
+          expect(fetchFunction).to.have.been.calledOnce;
+        });
+    });
+  });
+
+  describe('XhrTransport', () => {
+    afterEach(() => {
+      delete global.XMLHttpRequest;
+    });
+
+    it('should not send requests already aborted', () => {
+      global.XMLHttpRequest = stub();
+      const transport = new XhrTransport();
+
+      return transport.request({
+        method: 'put',
+        url: 'https://session',
+        signal: { aborted: true, addEventListener: stub() }
+      }).then(() => {
+        throw new Error('Should have been rejected');
+      }, error => {
+        expect(error.name).to.equal('AbortError');
+        expect(XMLHttpRequest).not.to.have.been.called;
+      });
+    });
+  });
+
+  describe('NodeTransport', () => {
+    let server;
+    let url;
+    let received;
+
+    beforeEach(done => {
+      server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+          received = {
+            method: request.method,
+            headers: request.headers,
+            body: Buffer.concat(chunks)
+          };
+          response.writeHead(308, { Range: 'bytes=0-9' });
+          response.end('{"ok":true}');
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}/upload`;
+        done();
+      });
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    it('should send requests with the http module', () => {
+      const onUploadProgress = spy();
+      const transport = new NodeTransport();
+
+      return transport.request({
+        method: 'put',
+        url,
+        headers: { 'Content-Range': 'bytes 0-9/20' },
+        body: new Uint8Array(10).fill(7),
+        onUploadProgress
+      }).then(response => {
+        expect(received.method).to.equal('PUT');
+        expect(received.headers['content-range']).to.equal('bytes 0-9/20');
+        expect(received.body.equals(Buffer.alloc(10, 7))).to.be.true;
+        expect(onUploadProgress).to.have.been.calledWith(10);
+
+        expect(response.status).to.equal(308);
+        expect(response.headers.get('Range')).to.equal('bytes=0-9');
+        expect(response.headers.get('X-Missing')).to.be.null;
+        return response.json();
+      }).then(body => {
+        expect(body).to.deep.equal({ ok: true });
+      });
+    });
+  });
+
+  describe('FakeGcsTransport', () => {
+    let transport;
+    let sessionUri;
+
+    const put = (range, body) => transport.request({
+      method: 'put',
+      url: sessionUri,
+      headers: { 'Content-Range': range },
+      body
+    });
+
+    beforeEach(() => {
+      transport = new FakeGcsTransport();
+      return transport.request({
+        method: 'post',
+        url: 'https://sessions',
+        body: JSON.stringify({ bucketFile: 'file.txt' })
+      }).then(response => response.json()).then(({ data }) => {
+        sessionUri = data;
+      });
+    });
+
+    it('should answer status queries with the persisted range', () => {
+      return put('bytes */10').then(response => {
+        expect(response.status).to.equal(308);
+        expect(response.headers.get('Range')).to.be.null;
+        return put('bytes 0-3/10', Buffer.from('0123'));
+      }).then(() => put('bytes */10')).then(response => {
+        expect(response.status).to.equal(308);
+        expect(response.headers.get('Range')).to.equal('bytes=0-3');
+      });
+    });
+
+    it('should reject chunks starting after the persisted data', () => {
+      return put('bytes 4-7/10', Buffer.from('4567')).then(response => {
+        expect(response.status).to.equal(400);
+      });
+    });
+
+    it('should store the object once all the data is there', () => {
+      return put('bytes 0-5/*', Buffer.from('012345')).then(() => {
+        return put('bytes 4-9/10', Buffer.from('456789'));
+      }).then(response => {
+        expect(response.status).to.equal(200);
+        return response.json();
+      }).then(metadata => {
+        expect(metadata.name).to.equal('file.txt');
+        expect(metadata.size).to.equal('10');
+        expect(metadata.crc32c).to.be.a('string');
+        expect(transport.objects['file.txt'].data.byteLength).to.equal(10);
+      });
+    });
+
+    it('should answer expired sessions with a 410 status', () => {
+      transport.expire(sessionUri);
+      return put('bytes */10').then(response => {
+        expect(response.status).to.equal(410);
+      });
+    });
+  });
+
+  it('should reject transports without a request method', () => {
+    expect(() => run(Buffer.alloc(10), { transport: {}, network: false }))
+      .to.throw('The transport must have a request method');
+  });
+});
@@ -0,0 +1,361 @@
+import {
+  Upload,
+  run,
+  IDLE,
+  INITIATING,
+  UPLOADING,
+  PAUSED,
+  FINALIZING,
+  DONE,
+  CANCELLED
+} from '../../src/upload';
+import {
+  AbortError,
+  NetworkError,
+  SessionError,
+  StateError
+} from '../../src/errors';
+import { FakeGcsTransport } from '../../src/transports/index';
+
+describe('Upload', () => {
+  let upload;
+
+  beforeEach(() => {
+    upload = new Upload(100, 'text/plain', {});
+    upload.state.current = INITIATING;
+    upload.state.current = UPLOADING;
+  });
+
+  describe('states', () => {
+    it('should fire statechange with the previous and next states', () => {
+      const onstatechange = spy();
+      upload.onstatechange = onstatechange;
+      upload.done();
+      expect(onstatechange.args.map(args => args[0])).to.deep.equal([
+        { previous: IDLE, next: INITIATING },
+        { previous: INITIATING, next: UPLOADING },
+        { previous: UPLOADING, next: FINALIZING },
+        { previous: FINALIZING, next: DONE }
+      ]);
+    });
+
+    it('should reject illegal transitions', () => {
+      expect(() => {
+        upload.state.current = IDLE;
+      }).to.throw(StateError, 'from uploading to idle');
+      expect(upload.currentState).to.equal(UPLOADING);
+    });
+
+    it('should only resume paused uploads', () => {
+      expect(() => upload.resume()).to.throw(StateError,
+        'Cannot resume an upload that is uploading');
+    });
+
+    it('should not pause twice', () => {
+      upload.onpause = () => {};
+      upload.pause();
+      expect(upload.currentState).to.equal(PAUSED);
+      expect(() => upload.pause()).to.throw(StateError,
+        'Cannot pause an upload that is paused');
+    });
+
+    it('should keep initiating if resumed before getting a session', () => {
+      let sendSession;
+      const sessionProvider = () => new Promise(resolve => {
+        sendSession = resolve;
+      });
+      const transport = new FakeGcsTransport();
+      const states = [];
+
+      upload = run(Buffer.alloc(10), {
+        name: 'data',
+        sessionProvider,
+        network: false,
+        transport
+      });
+      upload.onstatechange = ({ next }) => states.push(next);
+      upload.onpause = () => {};
+      upload.pause();
+      upload.resume();
+      expect(upload.currentState).to.equal(INITIATING);
+
+      return new Promise(resolve => setTimeout(resolve)).then(() => {
+        sendSession(transport.request({
+          method: 'post',
+          url: 'https://example.com/sessions',
+          body: JSON.stringify({ bucketFile: 'data' })
+        }).then(response => response.json()).then(({ data }) => data));
+        return upload.promise;
+      }).then(() => {
+        expect(transport.requests.filter(request => {
+          return request.type === 'chunk';
+        }).length).to.equal(1);
+        expect(transport.objects).to.have.property('data');
+        expect(states).to.deep.equal([INITIATING, PAUSED, INITIATING,
+                                      UPLOADING, FINALIZING, DONE]);
+      });
+    });
+
+    it('should not pause, resume or cancel finished uploads', () => {
+      upload.done();
+      expect(() => upload.pause()).to.throw(StateError);
+      expect(() => upload.resume()).to.throw(StateError);
+      return upload.cancel().then(() => {
+        throw new Error('Should have been rejected');
+      }, error => {
+        expect(error).to.be.an.instanceof(StateError);
+        expect(error.state).to.equal(DONE);
+        expect(error.target).to.equal(CANCELLED);
+      });
+    });
+  });
+
+  describe('events', () => {
+    it('should replay events fired before the callback is set', () => {
+      upload.progress = 10;
+      upload.progress = 20;
+      const onprogress = spy();
+      upload.onprogress = onprogress;
+      expect(onprogress).to.have.been.calledTwice;
+      expect(onprogress.secondCall.args[0].sent).to.equal(20);
+    });
+
+    it('should call every listener and the callback', () => {
+      const first = spy();
+      const second = spy();
+      const ondone = spy();
+      upload.addEventListener('done', first);
+      upload.addEventListener('done', second);
+      upload.ondone = ondone;
+      upload.done();
+      expect(first).to.have.been.calledOnce;
+      expect(second).to.have.been.calledOnce;
+      expect(ondone).to.have.been.calledOnce;
+    });
+
+    it('should deliver the object metadata to ondone', () => {
+      const metadata = { bucket: 'bucket', name: 'file.txt' };
+      const ondone = spy();
+      upload.ondone = ondone;
+      upload.done(metadata);
+      expect(ondone).to.have.been.calledWith(metadata);
+      expect(upload.result).to.equal(metadata);
+    });
+
+    it('should not call removed listeners', () => {
+      const listener = spy();
+      upload.addEventListener('pause', listener);
+      upload.removeEventListener('pause', listener);
+      upload.onpause = () => {};
+      upload.pause();
+      expect(listener).not.to.have.been.called;
+    });
+  });
+
+  describe('promise', () => {
+    it('should resolve with the object metadata when done', () => {
+      const metadata = { bucket: 'bucket', name: 'file.txt' };
+      upload.done(metadata);
+      return upload.promise.then(result => {
+        expect(result).to.equal(metadata);
+      });
+    });
+
+    it('should reject with an AbortError when cancelled', () => {
+      const promise = upload.promise;
+      upload.cancel();
+      return promise.then(() => {
+        throw new Error('Should have been rejected');
+      }, error => {
+        expect(error).to.be.an.instanceof(AbortError);
+      });
+    });
+
+    it('should reject with the final error when failed', () => {
+      const error = new Error('Boom');
+      upload.onerror = () => {};
+      upload.fail(error);
+      return upload.promise.catch(reason => {
+        expect(reason).to.equal(error);
+      });
+    });
+  });
+
+  describe('cancel', () => {
+    beforeEach(() => {
+      global.fetch = stub().returns(Promise.resolve({ status: 499 }));
+      upload.sessionUri = 'https://session';
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('should delete the session before triggering oncancel', () => {
+      const oncancel = spy();
+      upload.oncancel = oncancel;
+      const cancelled = upload.cancel();
+      expect(upload.currentState).to.equal(CANCELLED);
+      expect(oncancel).not.to.have.been.called;
+      return cancelled.then(() => {
+        expect(fetch).to.have.been.calledOnce;
+        expect(fetch.firstCall.args[0]).to.equal('https://session');
+        expect(fetch.firstCall.args[1].method).to.equal('delete');
+        expect(oncancel).to.have.been.calledOnce;
+      });
+    });
+
+    it('should not delete the session if disabled', () => {
+      upload.deleteSessionOnCancel = false;
+      return upload.cancel().then(() => {
+        expect(fetch).not.to.have.been.called;
+      });
+    });
+
+    it('should abort the request in flight', () => {
+      const controller = { abort: spy() };
+      upload.controller = controller;
+      upload.cancel();
+      expect(controller.abort).to.have.been.calledOnce;
+    });
+  });
+
+  describe('progressEvents', () => {
+    it('should iterate progress events until done', () => {
+      const iterator = upload.progressEvents();
+      const sent = [];
+      const collect = () => iterator.next().then(({ value, done }) => {
+        if (done) {
+          return sent;
+        }
+        sent.push(value.sent);
+        return collect();
+      });
+      upload.progress = 50;
+      upload.progress = 100;
+      upload.done();
+      return collect().then(values => {
+        expect(values).to.deep.equal([50, 100]);
+      });
+    });
+  });
+});
+
+describe('sessions', () => {
+  let transport;
+  let options;
+
+  const sessionRequests = () => transport.requests.filter(request => {
+    return request.type === 'session';
+  });
+
+  const failedSession = upload => upload.promise.then(() => {
+    throw new Error('Should have failed');
+  }, error => {
+    expect(error).to.be.an.instanceof(SessionError);
+    return error;
+  });
+
+  beforeEach(() => {
+    transport = new FakeGcsTransport();
+    options = { name: 'data', network: false, transport };
+  });
+
+  it('should request the session to the endpoint with the headers', () => {
+    options.session = {
+      endpoint: 'https://example.com/sessions',
+      headers: { Authorization: 'Bearer token' }
+    };
+
+    return run(Buffer.alloc(10), options).promise.then(() => {
+      const [request] = sessionRequests();
+      expect(request.method).to.equal('POST');
+      expect(request.url).to.equal('https://example.com/sessions');
+      expect(request.headers).to.deep.equal({
+        'Content-Type': 'application/json',
+        Authorization: 'Bearer token'
+      });
+      expect(transport.objects.data.data.byteLength).to.equal(10);
+    });
+  });
+
+  it('should build the request and parse the response as told', () => {
+    const buildBody = spy((file, object) => ({
+      bucketFile: `uploads/${object.name}`
+    }));
+    const parseResponse = spy(({ data }) => data);
+    options.session = { buildBody, parseResponse };
+
+    const upload = run(Buffer.from('hello'), options);
+    return upload.promise.then(() => {
+      const [file, object] = buildBody.firstCall.args;
+      expect(file).to.include({ name: 'data', size: 5 });
+      expect(object.name).to.equal('data');
+      expect(parseResponse).to.have.been.calledWith({
+        data: upload.sessionUri
+      });
+      expect(transport.objects).to.have.property('uploads/data');
+    });
+  });
+
+  it('should get the sessions from the session provider', () => {
+    options.sessionProvider = stub().returns(transport.request({
+      method: 'post',
+      url: 'https://example.com/sessions',
+      body: JSON.stringify({ bucketFile: 'provided' })
+    }).then(response => response.json()).then(({ data }) => data));
+
+    return run(Buffer.alloc(10), options).promise.then(() => {
+      const [file, object] = options.sessionProvider.firstCall.args;
+      expect(file.name).to.equal('data');
+      expect(object.name).to.equal('data');
+      expect(sessionRequests()).to.be.empty;
+      expect(transport.objects).to.have.property('provided');
+    });
+  });
+
+  it('should reject session providers that are not functions', () => {
+    options.sessionProvider = 'https://session';
+    expect(() => run(Buffer.alloc(10), options))
+      .to.throw('sessionProvider must be a function');
+  });
+
+  it('should fail with a SessionError if the session provider fails', () => {
+    const cause = new Error('No token');
+    options.sessionProvider = () => {
+      throw cause;
+    };
+
+    return failedSession(run(Buffer.alloc(10), options)).then(error => {
+      expect(error.message).to.equal('The session provider failed');
+      expect(error.cause).to.equal(cause);
+      expect(transport.requests).to.be.empty;
+    });
+  });
+
+  it('should fail with a SessionError if the session request fails', () => {
+    transport.failNext(500);
+
+    return failedSession(run(Buffer.alloc(10), options)).then(error => {
+      expect(error.status).to.equal(500);
+      expect(error.retryable).to.be.true;
+    });
+  });
+
+  it('should fail with a SessionError without a response', () => {
+    transport.failNext(0);
+
+    return failedSession(run(Buffer.alloc(10), options)).then(error => {
+      expect(error.cause).to.be.an.instanceof(NetworkError);
+    });
+  });
+
+  it('should fail with a SessionError without a session URI', () => {
+    options.session = { parseResponse: () => null };
+
+    return failedSession(run(Buffer.alloc(10), options)).then(error => {
+      expect(error.message).to.equal(
+        'The session response has no session URI');
+    });
+  });
+});
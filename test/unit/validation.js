@@ -0,0 +1,115 @@
+import { Readable } from 'stream';
+import { run } from '../../src/upload';
+import { ValidationError } from '../../src/errors';
+
+const rejection = promise => promise.then(() => {
+  throw new Error('Should have been rejected');
+}, error => error);
+
+describe('validation', () => {
+  let sessionProvider;
+
+  beforeEach(() => {
+    sessionProvider = stub().returns(new Promise(() => {}));
+  });
+
+  it('should throw right away for files too big', () => {
+    const file = new File(['hello world'], 'hello.txt');
+    expect(() => run(file, { sessionProvider, validation: { maxSize: 5 } }))
+      .to.throw(ValidationError);
+  });
+
+  it('should check the extension and the type', () => {
+    const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+    const validation = { allowedTypes: ['image/*'] };
+    expect(() => run(file, { sessionProvider, validation }))
+      .to.throw(ValidationError, 'text/plain');
+
+    validation.allowedTypes.push('text/plain');
+    validation.allowedExtensions = ['.png'];
+    try {
+      run(file, { sessionProvider, validation });
+    } catch (error) {
+      expect(error.reason).to.equal('extension');
+      return;
+    }
+    throw new Error('Should have thrown');
+  });
+
+  it('should check the guessed type before requesting a session', () => {
+    const upload = run(Buffer.from('%PDF-1.4'), {
+      name: 'document',
+      sessionProvider,
+      validation: { allowedTypes: ['image/png'] }
+    });
+    upload.onerror = () => {};
+    return rejection(upload.promise).then(error => {
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.reason).to.equal('type');
+      expect(sessionProvider).not.to.have.been.called;
+    });
+  });
+
+  it('should give the first chunk to the custom validator', () => {
+    const validator = stub().returns(Promise.resolve(false));
+    const upload = run(Buffer.from('data'), {
+      name: 'data.bin',
+      sessionProvider,
+      validation: { validator }
+    });
+    const onerror = spy();
+    upload.onerror = onerror;
+    return rejection(upload.promise).then(error => {
+      expect(error.reason).to.equal('validator');
+      expect(onerror).to.have.been.calledOnce;
+      const [file, chunk] = validator.firstCall.args;
+      expect(file.name).to.equal('data.bin');
+      expect(Buffer.from(chunk.data).toString()).to.equal('data');
+      expect(sessionProvider).not.to.have.been.called;
+    });
+  });
+
+  it('should wrap the errors thrown by the custom validator', () => {
+    const cause = new Error('Not a CSV file');
+    const upload = run(Buffer.from('data'), {
+      sessionProvider,
+      validation: { validator: () => Promise.reject(cause) }
+    });
+    upload.onerror = () => {};
+    return rejection(upload.promise).then(error => {
+      expect(error).to.be.an.instanceof(ValidationError);
+      expect(error.message).to.equal('Not a CSV file');
+      expect(error.cause).to.equal(cause);
+    });
+  });
+
+  it('should not request part sessions of rejected composite uploads', () => {
+    const upload = run(Buffer.alloc(1024 * 1024), {
+      name: 'data.bin',
+      sessionProvider,
+      composite: { parts: 2, minPartSize: 256 * 1024 },
+      validation: { validator: () => false }
+    });
+    upload.onerror = () => {};
+    return rejection(upload.promise).then(error => {
+      expect(error.reason).to.equal('validator');
+      expect(sessionProvider).not.to.have.been.called;
+    });
+  });
+
+  it('should check the size of streams as they are read', () => {
+    const stream = new Readable({ read() {} });
+    stream.push(Buffer.alloc(300 * 1024));
+    stream.push(null);
+
+    const upload = run(stream, {
+      sessionProvider: () => 'https://session',
+      chunkSize: 256 * 1024,
+      validation: { maxSize: 100 * 1024 }
+    });
+    upload.onerror = () => {};
+    return rejection(upload.promise).then(error => {
+      expect(error.reason).to.equal('maxSize');
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { serveUploads } from '../../src/worker/server';
+import { run, listWorkerUploads, PAUSED } from '../../src/upload';
+import { HttpError, StateError } from '../../src/errors';
+import { gzip } from '../../src/transforms/index';
+import { FakeGcsTransport } from '../../src/transports/index';
+
+/**
+ * A Worker for the page and the global scope of the worker, delivering
+ * messages to each other asynchronously.
+ */
+const createWorker = () => {
+  const pageListeners = [];
+  const workerListeners = [];
+  const deliver = (listeners, data) => setTimeout(() => {
+    listeners.slice().forEach(listener => listener({ data }));
+  });
+
+  const worker = {
+    postMessage: data => deliver(workerListeners, data),
+    addEventListener: (type, listener) => pageListeners.push(listener),
+    removeEventListener: (type, listener) => {
+      pageListeners.splice(pageListeners.indexOf(listener), 1);
+    }
+  };
+  const scope = {
+    postMessage: data => deliver(pageListeners, data),
+    addEventListener: (type, listener) => {
+      if (type === 'message') {
+        workerListeners.push(listener);
+      }
+    }
+  };
+  serveUploads(scope);
+  return worker;
+};
+
+const waitFor = (predicate, tries = 50) => {
+  if (predicate()) {
+    return Promise.resolve();
+  }
+  if (!tries) {
+    return Promise.reject(new Error('Timed out'));
+  }
+  return new Promise(resolve => setTimeout(resolve))
+    .then(() => waitFor(predicate, tries - 1));
+};
+
+describe('worker', () => {
+  let worker;
+  let transport;
+
+  beforeEach(() => {
+    worker = createWorker();
+    transport = new FakeGcsTransport();
+    // Transports can't be sent to workers, whose uploads use fetch.
+    global.fetch = spy((url, options) => {
+      return transport.request(Object.assign({ url }, options));
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should upload in the worker', () => {
+    const onprogress = spy();
+
+    const upload = run(Buffer.alloc(10), {
+      worker,
+      name: 'data',
+      session: { endpoint: 'https://example.com/sessionuris' }
+    });
+    upload.onprogress = onprogress;
+
+    return upload.promise.then(result => {
+      expect(result).to.deep.equal(transport.objects.data.metadata);
+      const [session, chunk] = transport.requests;
+      expect(session.url).to.equal('https://example.com/sessionuris');
+      expect(chunk.url).to.equal(upload.sessionUri);
+      expect(transport.sessions).to.have.property(upload.sessionUri);
+      expect(onprogress).to.have.been.calledWithMatch({ sent: 10 });
+    });
+  });
+
+  it('should ask the page for sessions from functions', () => {
+    const sessionProvider = stub().returns(transport.request({
+      method: 'post',
+      url: 'https://example.com/sessionuris',
+      body: JSON.stringify({ bucketFile: 'hello.txt' })
+    }).then(response => response.json()).then(({ data }) => data));
+
+    const upload = run(Buffer.from('hello'), {
+      worker,
+      name: 'hello.txt',
+      sessionProvider
+    });
+
+    return upload.promise.then(() => {
+      const [file, object] = sessionProvider.firstCall.args;
+      expect(file).to.include({ name: 'hello.txt', size: 5 });
+      expect(object).to.deep.equal({
+        name: 'hello.txt',
+        contentType: 'text/plain'
+      });
+      expect(fetch).to.have.been.calledOnce;
+      expect(transport.objects['hello.txt'].data.byteLength).to.equal(5);
+    });
+  });
+
+  it('should rebuild the errors of the worker', () => {
+    transport.failNext(403);
+
+    const upload = run(Buffer.alloc(10), {
+      worker,
+      name: 'data',
+      sessionProvider: () => 'https://session'
+    });
+    upload.onerror = () => {};
+
+    return upload.promise.then(() => {
+      throw new Error('Should have been rejected');
+    }, error => {
+      expect(error).to.be.an.instanceof(HttpError);
+      expect(error.status).to.equal(403);
+    });
+  });
+
+  it('should forward the commands to the worker', () => {
+    // Chunks never get a response.
+    global.fetch = stub().returns(new Promise(() => {}));
+
+    const upload = run(Buffer.alloc(10), {
+      worker,
+      name: 'data',
+      sessionProvider: () => 'https://session'
+    });
+
+    return waitFor(() => fetch.called).then(() => {
+      upload.pause();
+      return waitFor(() => upload.currentState === PAUSED);
+    });
+  });
+
+  it('should list the uploads running in the worker', () => {
+    global.fetch = stub().returns(new Promise(() => {}));
+
+    run(Buffer.alloc(10), {
+      worker,
+      name: 'data',
+      sessionProvider: () => 'https://session'
+    });
+
+    return waitFor(() => fetch.called).then(() => {
+      return listWorkerUploads(worker);
+    }).then(uploads => {
+      expect(uploads).to.have.length(1);
+      expect(uploads[0].file.name).to.equal('data');
+      expect(uploads[0].sessionUri).to.equal('https://session');
+      expect(uploads[0].size).to.equal(10);
+    });
+  });
+
+  it('should reject the commands failing in the worker', () => {
+    // Requests, including the session deletion, never get a response.
+    global.fetch = stub().returns(new Promise(() => {}));
+    const onerror = spy();
+
+    const upload = run(Buffer.alloc(10), {
+      worker,
+      name: 'data',
+      sessionProvider: () => 'https://session'
+    });
+    upload.onerror = onerror;
+
+    return waitFor(() => fetch.called).then(() => {
+      upload.cancel();
+      // The upload is already being cancelled in the worker.
+      return upload.remote.send('cancel');
+    }).then(() => {
+      throw new Error('Should have been rejected');
+    }, error => {
+      expect(error).to.be.an.instanceof(StateError);
+      expect(onerror).not.to.have.been.called;
+    });
+  });
+
+  it('should stop waiting for workers that do not answer', () => {
+    const silent = {
+      postMessage: () => {},
+      addEventListener: () => {},
+      removeEventListener: () => {}
+    };
+
+    return listWorkerUploads(silent, { timeout: 10 }).then(uploads => {
+      expect(uploads).to.be.empty;
+    });
+  });
+
+  it('should refuse options that cannot be sent to the worker', () => {
+    expect(() => run(Buffer.alloc(10), { worker, transforms: [gzip()] }))
+      .to.throw('The transforms option is not supported in workers');
+  });
+});